@@ -11,170 +11,1955 @@
 	//=============================Callback lists=============================
 	/**
 	 * Utility object to contain a list of callbacks that can be fired with arguments and a context. <br/>
-	 * Callback lists can be configured to delete listeners upon file (i.e. 'once'),
+	 * Callback lists can be configured to fire only once and delete listeners upon fire (i.e. 'once'),
 	 * and/or to retain last fired arguments and context to send to newly add listeners (i.e. 'memory')
 	 * @param {Object} options optional callback options
-	 * @param {boolean} options.once  true if to remove listeners after firing. (default=false)
+	 * @param {boolean} options.once  true if the list can only fire once, removing listeners after firing. (default=false)
 	 * @param {boolean} options.memory true if to keep the last value (and context) in memory and fire on new listeners (default=true)
+	 * @param {Number} options.replay if given, the number of last fires (values and contexts) to keep in memory and fire on new listeners by order,
+	 * can be Infinity to keep all of them. Implies memory. (default=only the last value, if memory is set)
+	 * @param {boolean} options.unique true if a callback can only be added once (default=false)
+	 * @param {boolean} options.stopOnFalse true if to stop firing when a listener returns false, the value is then also dropped from memory (default=false)
+	 * @param {boolean} options.isolateErrors true if to catch errors thrown by listeners so the remaining listeners are still called (default=CallbackList.defaults.isolateErrors)
+	 * @param {function(error, listener, context, args)} options.onError called with the caught errors when isolating errors (default=CallbackList.defaults.onError)
+	 * @param {String|function(task)} options.scheduler when listeners are called, either the name of one of CallbackList.schedulers
+	 * or a function that is given a task function to run (default=CallbackList.defaults.scheduler)
+	 * @param {Number} options.throttle if given, fires at most once every <code>throttle</code> milliseconds, see rate limiting below
+	 * @param {Number} options.debounce if given, fires only once no fire took place for <code>debounce</code> milliseconds, see rate limiting below
+	 * @param {boolean} options.leading rate limiting: true if to fire on the leading edge of the wait (default=true when throttling, false when debouncing)
+	 * @param {boolean} options.trailing rate limiting: true if to fire (with the last arguments) on the trailing edge of the wait (default=true)
+	 * @param {Number} options.maxWait rate limiting: the maximum time a fire may be delayed when debouncing
+	 * @param {Object} options.clock the clock used for rate limiting, of the form {now, setTimeout, clearTimeout} (default=CallbackList.defaults.clock)
 	 * @class CallbackList
 	 * @constructor
 	 */
 	function CallbackList(options) {
 		this._callbacks = [];
+		this._queue = []; //pending fires, see _fire
+		this._firing = false;
+		this._firingIndex = -1;
 		this.options = toolous.merge({
 			once : false,
-			memory : true
-		}, options);
+			memory : true,
+			unique : false,
+			stopOnFalse : false
+		}, CallbackList.defaults, options);
+		checkScheduler(this.options.scheduler);
+		if (this.options.replay) {
+			this.options.memory = true;
+			this._history = []; //the remembered fires, of the form {context, args}
+		}
+		if (isRateLimited(this.options)) {
+			var me = this;
+			this._limiter = rateLimit(function(context, args) {
+				me._enqueue(context, args);
+			}, this.options);
+		}
 	}
 
 	/**
-	 * Binds cb as a listener for this CallbackList. <br/>
-	 * If there is a last value stored in memory (only if constructed with memory=true), cb is immediately called (and if once===true) then removed as a listener.
-	 * @param {function} cb the listener callback
+	 * Global default options for all CallbackLists (and therefore all Deferreds), used when not given to the constructor. <br/>
+	 * By default errors are not isolated, isolated errors are rethrown asynchronously so they are still reported
+	 * and listeners are called synchronously.
+	 * @property defaults
+	 * @type {Object}
+	 * @static
+	 */
+	CallbackList.defaults = {
+		isolateErrors : false,
+		onError : function(error) {
+			setTimeout(function() {
+				throw error;
+			}, 0);
+		},
+		scheduler : "sync",
+		clock : {
+			now : function() {
+				return new Date().getTime();
+			},
+			setTimeout : function(func, ms) {
+				return setTimeout(func, ms);
+			},
+			clearTimeout : function(id) {
+				clearTimeout(id);
+			}
+		}
+	};
+
+	/**
+	 * Named schedulers that can be used as the scheduler option:<br/>
+	 * sync - listeners are called immediately<br/>
+	 * microtask - listeners are called in a microtask (falls back to a macrotask where unsupported)<br/>
+	 * macrotask - listeners are called in a new task (setTimeout)
+	 * @property schedulers
+	 * @type {Object}
+	 * @static
+	 */
+	CallbackList.schedulers = {
+		sync : function(task) {
+			task();
+		},
+		microtask : function(task) {
+			if (typeof queueMicrotask === "function") {
+				queueMicrotask(task);
+			} else if (globals.Promise) {
+				globals.Promise.resolve().then(task);
+			} else {
+				setTimeout(task, 0);
+			}
+		},
+		macrotask : function(task) {
+			setTimeout(task, 0);
+		}
+	};
+
+	/**
+	 * Binds the given callbacks as listeners for this CallbackList. <br/>
+	 * Accepts any number of functions or arrays of functions, anything else is ignored. <br/>
+	 * A trailing options object may be given with the listeners' priority, listeners of a higher priority are called first,
+	 * listeners of the same priority are called by the order they were added. <br/>
+	 * The listeners may be labeled by a leading "name.namespace" string (or the namespace option), jQuery events style,
+	 * so they can later be removed together with {{#crossLink "CallbackList/off:method"}}{{/crossLink}}. <br/>
+	 * If there is a last value stored in memory (only if constructed with memory=true), the callbacks are immediately called (and if once===true) then removed as listeners. <br/>
+	 * Callbacks added while the list is firing are called as part of the current fire instead.
+	 * @param {function|Array...} callbacks the listener callbacks
+	 * @param {Object} options optional listener options
+	 * @param {Number} options.priority the priority of the added listeners (default=0)
+	 * @param {String} options.namespace the label of the added listeners, e.g. "uploader.ui" (name "uploader" in the "ui" namespace)
+	 * @param {Number} options.times the number of times each added listener is called before it is removed (default=unlimited)
+	 * @param {Number} options.throttle call each added listener at most once every <code>throttle</code> milliseconds,
+	 * also accepts debounce, leading, trailing and maxWait, see the rate limiting options of {{#crossLink "CallbackList"}}{{/crossLink}}
 	 * @method add
 	 * @return {CallbackList} this
 	 */
-	CallbackList.prototype.add = function(cb) {
-		this._callbacks.push(cb);
-		if (this.firedArgs) {//memory, firedArgs is always trueish if exists (since it is an array)
-			cb.apply(this.firedContext, this.firedArgs);
-			if (this.options.once) {//clean listeners
-				this._callbacks = [];
+	CallbackList.prototype.add = function() {
+		this._add(toolous.toArray(arguments));
+		return this;
+	};
+	/**
+	 * Binds listeners, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @param {Array} args the arguments given to add
+	 * @method _add
+	 * @return {Array} the added listener entries
+	 * @private
+	 */
+	CallbackList.prototype._add = function(args) {
+		if (this._disabled) {
+			return [];
+		}
+		var listenerOptions = isListenerOptions(args[args.length - 1]) ? args.pop() : {},
+			priority = Number(toolous.nvl(listenerOptions.priority, 0)),
+			label = parseLabel(typeof args[0] === "string" ? args.shift() : listenerOptions.namespace),
+			times = listenerOptions.times,
+			added = [], late = [], me = this;
+		if (toolous.isDef(times) && (isNaN(times) || times < 1)) {
+			throw new Error("Listeners must be called at least once, got times=" + times);
+		}
+		toolous.forEach(flattenCallbacks(args), function(cb) {
+			if (!me.options.unique || !me.has(cb)) {
+				var entry = {
+					fn : cb,
+					priority : priority,
+					name : label.name,
+					namespaces : label.namespaces,
+					remaining : times
+				}, index;
+				if (isRateLimited(listenerOptions)) {
+					entry.limiter = me._limitListener(entry, listenerOptions);
+				}
+				index = me._insert(entry);
+				added.push(entry);
+				if (me._firing) {
+					if (index < me._firingIndex) {//inserted before the listener being called, current fire already passed it
+						late.push(entry);
+					} else if (me._firingItem.entries) {//firing to specific listeners, add to them
+						me._firingItem.entries.push(entry);
+					}
+				}
+			}
+		});
+		if (this._firing) {
+			if (late.length) {//called once the current fire is done
+				this._replay(this._firingItem.context, this._firingItem.args, late);
+			}
+		} else if (added.length && this._hasMemory()) {
+			//replaying only to the newly added listeners, by order (each replay is queued before the previous ones)
+			var memories = this._history || [{
+				context : this.firedContext,
+				args : this.firedArgs
+			}];
+			for (var i = memories.length - 1; i >= 0; --i) {
+				this._replay(memories[i].context, memories[i].args, added);
+			}
+			this._schedule();
+		}
+		return added;
+	};
+	/**
+	 * Binds the given callbacks as listeners that are removed after being called once
+	 * @param {function|Array...} callbacks the listener callbacks
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method addOnce
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.addOnce = function() {
+		return this.addTimes.apply(this, toolous.toArray(arguments, 0, 1));
+	};
+	/**
+	 * Binds the given callbacks as listeners that are removed after being called <code>times</code> times
+	 * @param {Number} times the number of times to call each listener
+	 * @param {function|Array...} callbacks the listener callbacks
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method addTimes
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.addTimes = function(times) {
+		var args = toolous.toArray(arguments, 1),
+			options = isListenerOptions(args[args.length - 1]) ? args.pop() : {};
+		args.push(toolous.merge({}, options, {
+			times : times
+		}));
+		return this.add.apply(this, args);
+	};
+	/**
+	 * Same as add, but returns a subscription that removes exactly the listeners added by this call. <br/>
+	 * Other registrations of the same callbacks are left as is.
+	 * @param {function|Array...} callbacks the listener callbacks
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method subscribe
+	 * @return {Subscription} a subscription to unsubscribe the added listeners with
+	 */
+	CallbackList.prototype.subscribe = function() {
+		var entries = this._add(toolous.toArray(arguments)), me = this;
+		return new Subscription(function() {
+			toolous.forEach(entries, function(entry) {
+				me._removeEntry(entry);
+			});
+		});
+	};
+	/**
+	 * Queues a fire of the given listener entries only, before any other queued fire (as it is a fire that already took place)
+	 * @param {any} context the context to fire with
+	 * @param {Array} args the arguments to fire with
+	 * @param {Array} entries the listener entries to fire to
+	 * @method _replay
+	 * @private
+	 */
+	CallbackList.prototype._replay = function(context, args, entries) {
+		var first = this._queue[0];
+		if (first && first.entries && first.context === context && first.args === args) {//same replay, join it
+			first.entries = first.entries.concat(entries);
+		} else {
+			this._queue.unshift({
+				context : context,
+				args : args,
+				entries : entries,
+				nested : this._firing
+			});
+		}
+	};
+	/**
+	 * Inserts a listener entry by its priority, after any listeners of the same or higher priority
+	 * @param {Object} entry the listener entry
+	 * @method _insert
+	 * @return {Number} the index the entry was inserted at
+	 * @private
+	 */
+	CallbackList.prototype._insert = function(entry) {
+		var index = this._callbacks.length;
+		while (index > 0 && this._callbacks[index - 1].priority < entry.priority) {
+			--index;
+		}
+		this._callbacks.splice(index, 0, entry);
+		if (index <= this._firingIndex) {//keep pointing at the listener being called
+			++this._firingIndex;
+		}
+		return index;
+	};
+	/**
+	 * Fires all listeners with the given context and arguments. <br/>
+	 * If the list is already firing (i.e. fired from within a listener) the fire is queued and
+	 * takes place once the current one is done. <br/>
+	 * Listeners are called when the list's scheduler runs the fire, immediately unless another scheduler was set.
+	 * @param {any} context the context to fire the callbacks with
+	 * @param {Array} args the arguments to send all callback listeners (copied, optional)
+	 * @method fireWith
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.fireWith = function(context, args) {
+		if (!this._locked) {
+			this._fired = true;
+			args = toolous.isDef(args) && args !== null ? toolous.toArray(args) : [];
+			if (this._limiter) {
+				this._limiter(context, args);
+			} else {
+				this._enqueue(context, args);
+			}
+		}
+		return this;
+	};
+	/**
+	 * Queues a fire and schedules it
+	 * @param {any} context the context to fire the callbacks with
+	 * @param {Array} args the arguments to send all callback listeners
+	 * @method _enqueue
+	 * @private
+	 */
+	CallbackList.prototype._enqueue = function(context, args) {
+		if (this._locked) {//locked while rate limited
+			return;
+		}
+		this._queue.push({
+			context : context,
+			args : args,
+			nested : this._firing //queued from within a listener
+		});
+		this._locked = !!this.options.once; //once lists are locked after their first fire
+		this._schedule();
+	};
+	/**
+	 * Schedules a run of the queued fires using the list's scheduler, unless already firing or scheduled
+	 * @method _schedule
+	 * @private
+	 */
+	CallbackList.prototype._schedule = function() {
+		var scheduler = this.options.scheduler, me = this;
+		if (this._firing || this._scheduled) {
+			return;
+		}
+		if (!toolous.isFunction(scheduler)) {
+			scheduler = CallbackList.schedulers[scheduler];
+			if (!scheduler) {
+				throw new Error("Unknown scheduler " + this.options.scheduler);
+			}
+		}
+		this._scheduled = true;
+		scheduler(function() {
+			me._scheduled = false;
+			if (!me._firing) {
+				me._fire();
+			}
+		});
+	};
+	/**
+	 * Runs the queued fires until there are none left.<br/>
+	 * Each queued fire is of the form {context, args, entries}, where entries optionally limits the fire to specific listeners. <br/>
+	 * Listeners are iterated by index (and not over a copy) so listeners added while firing are called
+	 * and listeners removed while firing are skipped. <br/>
+	 * If a listener throws (when errors are not isolated) the fires queued from within its listeners are dropped, along with the aborted fire,
+	 * while fires that were waiting for the scheduler are scheduled again.
+	 * @method _fire
+	 * @private
+	 */
+	CallbackList.prototype._fire = function() {
+		var item, entry, done = false;
+		this._firing = true;
+		try {
+			while (this._queue.length) {
+				this._firingItem = item = this._queue.shift();
+				if (this.options.memory) {//store value in memory
+					this.firedArgs = item.args;
+					this.firedContext = item.context;
+					if (this._history && !item.entries) {//a new fire (not a replay), remembering it
+						this._history.push(item);
+						if (this._history.length > this.options.replay) {
+							this._history.shift();
+						}
+					}
+				}
+				if (!item.entries) {
+					this._fireCount = (this._fireCount || 0) + 1;
+					this._lastFired = item;
+				}
+				for (this._firingIndex = 0; this._firingIndex < this._callbacks.length; ++this._firingIndex) {
+					entry = this._callbacks[this._firingIndex];
+					if ((!item.entries || item.entries.indexOf(entry) > -1) && !this._call(entry, item.context, item.args)) {
+						break;
+					}
+				}
+			}
+			done = true;
+		} finally {//a listener error (when not isolated) must not leave the list firing
+			if (!done) {//fires queued by the aborted one are not delivered on a later unrelated fire
+				this._dropNestedFires();
+			}
+			delete this._firingItem;
+			this._firingIndex = -1;
+			this._firing = false;
+			if (this._queue.length) {//separate fires made before the aborted one ran
+				this._schedule();
+			} else if (this._locked) {//locked while firing (or a once list)
+				this._releaseListeners();
+			}
+		}
+	};
+	/**
+	 * Drops the queued fires that were queued from within listeners of the current fire
+	 * @method _dropNestedFires
+	 * @private
+	 */
+	CallbackList.prototype._dropNestedFires = function() {
+		var queue = [];
+		toolous.forEach(this._queue, function(item) {
+			if (!item.nested) {
+				queue.push(item);
+			}
+		});
+		this._queue = queue;
+	};
+	/**
+	 * Calls a single listener, honoring the stopOnFalse and isolateErrors options
+	 * @param {Object} entry the listener entry to call
+	 * @param {any} context the context to call the listener with
+	 * @param {Array} args the arguments to call the listener with
+	 * @method _call
+	 * @return {boolean} false if firing should stop
+	 * @private
+	 */
+	CallbackList.prototype._call = function(entry, context, args) {
+		if (entry.limiter) {//rate limited, the limiter calls the listener when due
+			entry.limiter.apply(context, args);
+			return true;
+		}
+		this._countCall(entry);
+		if (this._invoke(entry.fn, context, args) === false && this.options.stopOnFalse) {
+			//the value is not remembered, so later listeners don't get it either
+			delete this.firedArgs;
+			delete this.firedContext;
+			if (this._history && this._history.indexOf(this._firingItem) > -1) {
+				this._history.splice(this._history.indexOf(this._firingItem), 1);
+			}
+			return false;
+		}
+		return true;
+	};
+	/**
+	 * Counts a call of a listener with limited calls, removing it on its last call (before calling it, so it is not called again)
+	 * @param {Object} entry the listener entry
+	 * @method _countCall
+	 * @private
+	 */
+	CallbackList.prototype._countCall = function(entry) {
+		if (toolous.isDef(entry.remaining) && --entry.remaining <= 0) {
+			this._removeEntry(entry);
+		}
+	};
+	/**
+	 * Calls a listener function, honoring the isolateErrors option
+	 * @param {function} fn the listener function
+	 * @param {any} context the context to call the listener with
+	 * @param {Array} args the arguments to call the listener with
+	 * @method _invoke
+	 * @return {any} the listener's result, undefined if it threw an isolated error
+	 * @private
+	 */
+	CallbackList.prototype._invoke = function(fn, context, args) {
+		if (!this.options.isolateErrors) {
+			return fn.apply(context, args);
+		}
+		try {
+			return fn.apply(context, args);
+		} catch (e) {
+			this.options.onError.call(this, e, fn, context, args);
+		}
+	};
+	/**
+	 * Creates the rate limiter of a listener entry, calls made by it are skipped once the listener was removed
+	 * @param {Object} entry the listener entry
+	 * @param {Object} options the listener's rate limiting options
+	 * @method _limitListener
+	 * @return {function} the rate limited function
+	 * @private
+	 */
+	CallbackList.prototype._limitListener = function(entry, options) {
+		var me = this;
+		return rateLimit(function() {
+			if (me._callbacks.indexOf(entry) > -1) {
+				me._countCall(entry);
+				me._invoke(entry.fn, this, toolous.toArray(arguments));
+			}
+		}, toolous.merge({
+			clock : this.options.clock
+		}, options));
+	};
+	/**
+	 * Makes the pending calls of the list's and its listeners' rate limiters now
+	 * @method _flushLimiters
+	 * @private
+	 */
+	CallbackList.prototype._flushLimiters = function() {
+		if (this._limiter) {
+			this._limiter.flush();
+		}
+		toolous.forEach(this._callbacks.slice(), function(entry) {//a copy, flushed calls may remove listeners
+			if (entry.limiter) {
+				entry.limiter.flush();
+			}
+		});
+	};
+	/**
+	 * Returns true if there are remembered fires to replay to new listeners
+	 * @method _hasMemory
+	 * @return {boolean}
+	 * @private
+	 */
+	CallbackList.prototype._hasMemory = function() {
+		//firedArgs is always trueish if exists (since it is an array)
+		return this._history ? this._history.length > 0 : !!this.firedArgs;
+	};
+	/**
+	 * Removes the listeners of a locked list, as they will not be fired again. <br/>
+	 * Lists without a value in memory have nothing left to do and are disabled.
+	 * @method _releaseListeners
+	 * @private
+	 */
+	CallbackList.prototype._releaseListeners = function() {
+		if (this._hasMemory()) {
+			this._callbacks = [];
+		} else {
+			this.disable();
+		}
+	};
+	/**
+	 * Removes every instance of the given callbacks from this list's listeners. <br/>
+	 * Can be called while the list is firing, removed listeners that were yet to be called will be skipped.
+	 * @param {function|Array...} callbacks the listener callbacks to remove
+	 * @method remove
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.remove = function() {
+		var me = this;
+		toolous.forEach(flattenCallbacks(arguments), function(cb) {
+			var index;
+			while ((index = me._indexOf(cb)) > -1) {
+				me._removeAt(index);
+			}
+		});
+		return this;
+	};
+	/**
+	 * Removes the listeners matching the given jQuery events style selector: <br/>
+	 * "name" removes listeners labeled with that name, ".ns" removes listeners in the ns namespace,
+	 * "name.ns1.ns2" removes listeners with that name in both namespaces. Without a selector all listeners are removed.
+	 * @param {String} selector the label selector (optional)
+	 * @param {function} cb only remove listeners of this callback (optional)
+	 * @method off
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.off = function(selector, cb) {
+		var label = parseLabel(selector), i, entry;
+		for (i = this._callbacks.length - 1; i >= 0; --i) {
+			entry = this._callbacks[i];
+			if (labelMatches(entry, label) && (!cb || entry.fn === cb)) {
+				this._removeAt(i);
+			}
+		}
+		return this;
+	};
+	/**
+	 * Removes the listener entry at the given index
+	 * @param {Number} index the index of the entry in the listeners list
+	 * @method _removeAt
+	 * @private
+	 */
+	CallbackList.prototype._removeAt = function(index) {
+		this._callbacks.splice(index, 1);
+		if (index <= this._firingIndex) {//keep pointing at the next listener to call
+			--this._firingIndex;
+		}
+	};
+	/**
+	 * Removes the given listener entry, if still bound
+	 * @param {Object} entry the listener entry
+	 * @method _removeEntry
+	 * @private
+	 */
+	CallbackList.prototype._removeEntry = function(entry) {
+		var index = this._callbacks.indexOf(entry);
+		if (index > -1) {
+			this._removeAt(index);
+		}
+	};
+	/**
+	 * Returns the index of the first listener entry of cb
+	 * @param {function} cb the callback to look for
+	 * @method _indexOf
+	 * @return {Number} the entry index, -1 if cb isn't a listener
+	 * @private
+	 */
+	CallbackList.prototype._indexOf = function(cb) {
+		for (var i = 0; i < this._callbacks.length; ++i) {
+			if (this._callbacks[i].fn === cb) {
+				return i;
+			}
+		}
+		return -1;
+	};
+	/**
+	 * Checks whether the given callback is a listener of this list, or if no callback is given, whether the list has any listeners
+	 * @param {function} cb the callback to look for (optional)
+	 * @method has
+	 * @return {boolean} true if cb (or any listener if cb is not given) is bound to this list
+	 */
+	CallbackList.prototype.has = function(cb) {
+		return cb ? this._indexOf(cb) > -1 : this._callbacks.length > 0;
+	};
+	/**
+	 * Removes all of the listeners from this list (also stops the current firing if any)
+	 * @method empty
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.empty = function() {
+		this._callbacks = [];
+		return this;
+	};
+	/**
+	 * Disables this list, no listeners can be added and firing has no effect. <br/>
+	 * Any listeners and value in memory are dropped (also stops the current firing if any).
+	 * @method disable
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.disable = function() {
+		this._locked = this._disabled = true;
+		this._callbacks = [];
+		this._queue = [];
+		if (this._limiter) {
+			this._limiter.cancel();
+		}
+		delete this.firedArgs;
+		delete this.firedContext;
+		if (this._history) {
+			this._history = [];
+		}
+		return this;
+	};
+	/**
+	 * Returns true if this list was disabled
+	 * @method disabled
+	 * @return {boolean}
+	 */
+	CallbackList.prototype.disabled = function() {
+		return !!this._disabled;
+	};
+	/**
+	 * Locks this list in its current state, firing has no effect from now on. <br/>
+	 * Lists with a value in memory still accept listeners and immediately call them with it, other lists are disabled. <br/>
+	 * Fires still waiting for the scheduler take place (and are remembered) before the list is released,
+	 * while fires queued from within listeners of the current fire are dropped (as in jQuery).
+	 * @method lock
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.lock = function() {
+		this._locked = true;
+		if (this._firing) {
+			this._dropNestedFires();
+		}
+		if (this._limiter) {
+			this._limiter.cancel();
+		}
+		if (!this._hasMemory() && !this._firing && !this._queue.length) {//nothing to remember, if firing (or about to) it is released once done
+			this.disable();
+		}
+		return this;
+	};
+	/**
+	 * Returns true if this list was locked (or disabled, or is a once list that was fired)
+	 * @method locked
+	 * @return {boolean}
+	 */
+	CallbackList.prototype.locked = function() {
+		return !!this._locked;
+	};
+	/**
+	 * Returns true if this list was ever fired. <br/>
+	 * As in jQuery, this is true as soon as a fire is accepted, even if the scheduler (or rate limiting) has yet to run it, see fireCount for the fires run.
+	 * @method fired
+	 * @return {boolean}
+	 */
+	CallbackList.prototype.fired = function() {
+		return !!this._fired;
+	};
+	/**
+	 * Returns the number of fires this list has run, memory replays to new listeners are not counted
+	 * @method fireCount
+	 * @return {Number}
+	 */
+	CallbackList.prototype.fireCount = function() {
+		return this._fireCount || 0;
+	};
+	/**
+	 * Returns the context and arguments of the last fire this list has run (regardless of the memory option)
+	 * @method lastFired
+	 * @return {Object} of the form {context, args}, undefined if never fired
+	 */
+	CallbackList.prototype.lastFired = function() {
+		if (this._lastFired) {
+			return {
+				context : this._lastFired.context,
+				args : toolous.toArray(this._lastFired.args)
+			};
+		}
+	};
+	/**
+	 * Returns the number of listeners bound to this list
+	 * @method size
+	 * @return {Number}
+	 */
+	CallbackList.prototype.size = function() {
+		return this._callbacks.length;
+	};
+	/**
+	 * Returns a snapshot of the listeners bound to this list, by the order they are called. <br/>
+	 * Each listener is described by {fn, priority, name, namespaces, remaining, rateLimited},
+	 * where remaining is the number of calls left for listeners added with times (undefined otherwise)
+	 * @method listeners
+	 * @return {Array} the listeners' descriptions
+	 */
+	CallbackList.prototype.listeners = function() {
+		var snapshot = [];
+		toolous.forEach(this._callbacks, function(entry) {
+			snapshot.push({
+				fn : entry.fn,
+				priority : entry.priority,
+				name : entry.name,
+				namespaces : toolous.toArray(entry.namespaces),
+				remaining : entry.remaining,
+				rateLimited : !!entry.limiter
+			});
+		});
+		return snapshot;
+	};
+	/**
+	 * Returns an async iterator of this list's fires, each value being the array of arguments of a fire
+	 * (so it can be consumed with <code>for await (const [value] of list.iterator())</code>). <br/>
+	 * The iterator ends only once returned (e.g. by breaking out of the loop), which also removes its listener.
+	 * @param {Object} options optional iterator options
+	 * @param {Number} options.bufferSize the number of fires to keep while the consumer is slow (default=Infinity)
+	 * @param {String} options.overflow which fires to drop once the buffer is full, "dropOldest" or "dropNewest" (default="dropOldest")
+	 * @method iterator
+	 * @return {AsyncListIterator}
+	 */
+	CallbackList.prototype.iterator = function(options) {
+		var iterator = new AsyncListIterator(options);
+		iterator._attach(this.subscribe(function() {
+			iterator._push(toolous.toArray(arguments));
+		}));
+		return iterator;
+	};
+	if (typeof Symbol === "function" && Symbol.asyncIterator) {
+		/**
+		 * Same as iterator() with the default options, making CallbackLists async iterable where supported
+		 * @method [Symbol.asyncIterator]
+		 * @return {AsyncListIterator}
+		 */
+		CallbackList.prototype[Symbol.asyncIterator] = function() {
+			return this.iterator();
+		};
+	}
+	/**
+	 * Fires all listeners with this CallbackList as the context and any arguments given to fire.<br/>
+	 * Equals to fireWith(this, arguments)
+	 * @param {any...} args the arguments to send all callback listeners
+	 * @method fire
+	 * @return {CallbackList} this
+	 */
+	CallbackList.prototype.fire = function() {
+		return this.fireWith(this, arguments);
+	};
+
+	/**
+	 * Returns a flat array of the functions in <code>args</code>, expanding nested arrays (and array-like objects).<br/>
+	 * Anything else (including strings) is ignored.
+	 * @param {Array|Arguments} args the values to flatten
+	 * @return {Array} the functions found
+	 * @method flattenCallbacks
+	 * @private
+	 */
+	function flattenCallbacks(args) {
+		var callbacks = [];
+		toolous.forEach(toolous.toArray(args), function(arg) {
+			if (toolous.isFunction(arg)) {
+				callbacks.push(arg);
+			} else if (arg && typeof arg !== "string" && arg.length) {
+				callbacks = callbacks.concat(flattenCallbacks(arg));
+			}
+		});
+		return callbacks;
+	}
+
+	/**
+	 * An async iterator (see the ES2018 async iteration protocol) of values pushed into it, buffered until consumed. <br/>
+	 * next() returns a promise (thenable) for the next {value, done} result.
+	 * @param {Object} options optional options, see {{#crossLink "CallbackList/iterator:method"}}{{/crossLink}}
+	 * @class AsyncListIterator
+	 * @constructor
+	 */
+	function AsyncListIterator(options) {
+		options = options || {};
+		this._bufferSize = Number(toolous.nvl(options.bufferSize, Infinity));
+		this._overflow = toolous.nvl(options.overflow, "dropOldest");
+		if (isNaN(this._bufferSize) || this._bufferSize < 0 || (this._overflow !== "dropOldest" && this._overflow !== "dropNewest")) {
+			throw new Error("Invalid iterator options, bufferSize " + this._bufferSize + ", overflow " + this._overflow);
+		}
+		this._buffer = [];
+		this._waiting = []; //deferreds of next() calls waiting for values
+		this._finished = false;
+	}
+	/**
+	 * Sets the subscription feeding this iterator, unsubscribed once the iteration ends
+	 * @param {Subscription} subscription the subscription
+	 * @method _attach
+	 * @private
+	 */
+	AsyncListIterator.prototype._attach = function(subscription) {
+		this._subscription = subscription;
+		if (this._finished) {//ended while subscribing
+			subscription.unsubscribe();
+		}
+	};
+	/**
+	 * Pushes a value to the consumer, or buffers it if the consumer isn't waiting for one
+	 * @param {any} value the value
+	 * @method _push
+	 * @private
+	 */
+	AsyncListIterator.prototype._push = function(value) {
+		if (this._finished) {
+			return;
+		}
+		if (this._waiting.length) {
+			this._waiting.shift().resolve({
+				value : value,
+				done : false
+			});
+		} else if (this._buffer.length < this._bufferSize) {
+			this._buffer.push(value);
+		} else if (this._overflow === "dropOldest" && this._bufferSize > 0) {
+			this._buffer.shift();
+			this._buffer.push(value);
+		}
+		//otherwise dropping the new value
+	};
+	/**
+	 * Ends the iteration, once the buffered values are consumed the iterator is done (or throws if failed)
+	 * @param {boolean} failed true if the iteration should throw error once the buffer is consumed
+	 * @param {any} error the error to throw
+	 * @method _end
+	 * @private
+	 */
+	AsyncListIterator.prototype._end = function(failed, error) {
+		if (this._finished) {
+			return;
+		}
+		this._finished = true;
+		this._failed = failed;
+		this._error = error;
+		if (this._subscription) {
+			this._subscription.unsubscribe();
+		}
+		while (this._waiting.length) {//the buffer is empty if anyone is waiting
+			this._settle(this._waiting.shift());
+		}
+	};
+	/**
+	 * Settles a next() call's deferred once finished and the buffer is empty, rejecting only the first call if failed
+	 * @param {Deferred} deferred the deferred to settle
+	 * @method _settle
+	 * @return {Promise} the deferred's promise
+	 * @private
+	 */
+	AsyncListIterator.prototype._settle = function(deferred) {
+		if (this._failed) {
+			this._failed = false;
+			deferred.reject(this._error);
+		} else {
+			deferred.resolve({
+				value : undefined,
+				done : true
+			});
+		}
+		return deferred.promise();
+	};
+	/**
+	 * Returns a promise for the next value
+	 * @method next
+	 * @return {Promise} resolved with {value, done}, rejected if the iteration failed
+	 */
+	AsyncListIterator.prototype.next = function() {
+		if (this._buffer.length) {
+			return new Deferred().resolve({
+				value : this._buffer.shift(),
+				done : false
+			}).promise();
+		}
+		if (this._finished) {
+			return this._settle(new Deferred());
+		}
+		var waiting = new Deferred();
+		this._waiting.push(waiting);
+		return waiting.promise();
+	};
+	/**
+	 * Ends the iteration (called when breaking out of a for await loop), dropping any buffered values
+	 * @method return
+	 * @return {Promise} resolved with {value: undefined, done: true}
+	 */
+	AsyncListIterator.prototype["return"] = function() {
+		this._buffer = [];
+		this._failed = false;
+		this._end(false);
+		return this._settle(new Deferred());
+	};
+	if (typeof Symbol === "function" && Symbol.asyncIterator) {
+		AsyncListIterator.prototype[Symbol.asyncIterator] = function() {
+			return this;
+		};
+	}
+
+	/**
+	 * Throws if the given scheduler option is neither a function nor one of the named schedulers
+	 * @param {function|String} scheduler the scheduler option
+	 * @method checkScheduler
+	 * @private
+	 */
+	function checkScheduler(scheduler) {
+		if (!toolous.isFunction(scheduler) && !CallbackList.schedulers[scheduler]) {
+			throw new Error("Unknown scheduler " + scheduler);
+		}
+	}
+
+	/**
+	 * Returns true if the given options ask for rate limiting (i.e. have either throttle or debounce)
+	 * @param {Object} options list or listener options
+	 * @return {boolean}
+	 * @method isRateLimited
+	 * @private
+	 */
+	function isRateLimited(options) {
+		return toolous.isDef(options.throttle) || toolous.isDef(options.debounce);
+	}
+	/**
+	 * Returns a rate limited version of func, with the same semantics as the common throttle/debounce functions: <br/>
+	 * Debouncing delays calls until <code>debounce</code> milliseconds passed without a call,
+	 * throttling calls at most once every <code>throttle</code> milliseconds (i.e. debouncing with maxWait=throttle). <br/>
+	 * Delayed calls are made with the context and arguments of the last call.
+	 * @param {function} func the function to limit
+	 * @param {Object} options of the form {throttle or debounce, leading, trailing, maxWait, clock}
+	 * @return {function} the limited function, with a flush method that makes any pending (trailing) call now
+	 * and a cancel method that drops it
+	 * @method rateLimit
+	 * @private
+	 */
+	function rateLimit(func, options) {
+		var throttle = toolous.isDef(options.throttle),
+			wait = Number(throttle ? options.throttle : options.debounce),
+			leading = !!toolous.nvl(options.leading, throttle),
+			trailing = !!toolous.nvl(options.trailing, true),
+			maxWait = throttle ? wait : options.maxWait,
+			maxing = toolous.isDef(maxWait),
+			clock = options.clock || CallbackList.defaults.clock,
+			lastArgs, lastThis, timerId, lastCallTime, lastInvokeTime = 0;
+		if (isNaN(wait) || wait < 0 || (maxing && (isNaN(maxWait) || maxWait < wait))) {
+			throw new Error("Invalid rate limit wait " + wait + (maxing ? ", maxWait " + maxWait : ""));
+		}
+
+		function invoke(time) {
+			var args = lastArgs, context = lastThis;
+			lastArgs = lastThis = undefined;
+			lastInvokeTime = time;
+			func.apply(context, args);
+		}
+		function remainingWait(time) {
+			var waiting = wait - (time - lastCallTime);
+			return maxing ? Math.min(waiting, maxWait - (time - lastInvokeTime)) : waiting;
+		}
+		function shouldInvoke(time) {
+			var sinceCall = time - lastCallTime, sinceInvoke = time - lastInvokeTime;
+			if (!toolous.isDef(lastCallTime) || sinceCall < 0) {
+				return true;
+			}
+			//throttling also waits since the last (trailing) invocation
+			return (sinceCall >= wait && (!throttle || sinceInvoke >= wait)) || (maxing && sinceInvoke >= maxWait);
+		}
+		function trailingEdge(time) {
+			timerId = undefined;
+			if (trailing && lastArgs) {
+				invoke(time);
+			}
+			lastArgs = lastThis = undefined;
+		}
+		function timerExpired() {
+			var time = clock.now();
+			if (shouldInvoke(time)) {
+				trailingEdge(time);
+			} else {
+				timerId = clock.setTimeout(timerExpired, remainingWait(time));
+			}
+		}
+
+		var limited = function() {
+			var time = clock.now(), isInvoking = shouldInvoke(time);
+			lastArgs = toolous.toArray(arguments);
+			lastThis = this;
+			lastCallTime = time;
+			if (isInvoking && !toolous.isDef(timerId)) {//leading edge
+				lastInvokeTime = time;
+				timerId = clock.setTimeout(timerExpired, wait);
+				if (leading) {
+					invoke(time);
+				}
+			} else if (isInvoking && maxing) {//waited for too long
+				clock.clearTimeout(timerId);
+				timerId = clock.setTimeout(timerExpired, wait);
+				invoke(time);
+			} else if (!toolous.isDef(timerId)) {
+				timerId = clock.setTimeout(timerExpired, remainingWait(time));
+			}
+		};
+		limited.flush = function() {
+			if (toolous.isDef(timerId)) {
+				clock.clearTimeout(timerId);
+				trailingEdge(clock.now());
+			}
+		};
+		limited.cancel = function() {
+			if (toolous.isDef(timerId)) {
+				clock.clearTimeout(timerId);
+			}
+			lastInvokeTime = 0;
+			lastArgs = lastThis = lastCallTime = timerId = undefined;
+		};
+		return limited;
+	}
+
+	/**
+	 * A handle for listeners added through subscribe, unsubscribing removes them.
+	 * @param {function} dispose called (once) to remove the listeners
+	 * @class Subscription
+	 * @constructor
+	 */
+	function Subscription(dispose) {
+		this._dispose = dispose;
+		this.closed = false;
+	}
+	/**
+	 * Removes the subscribed listeners, has no effect if already unsubscribed
+	 * @method unsubscribe
+	 * @return {Subscription} this
+	 */
+	Subscription.prototype.unsubscribe = function() {
+		if (!this.closed) {
+			this.closed = true;
+			this._dispose();
+		}
+		return this;
+	};
+	/**
+	 * Returns a subscription that unsubscribes all of the given subscriptions
+	 * @param {Array} subscriptions the subscriptions to combine
+	 * @method combine
+	 * @return {Subscription}
+	 * @static
+	 */
+	Subscription.combine = function(subscriptions) {
+		return new Subscription(function() {
+			toolous.forEach(subscriptions, function(subscription) {
+				subscription.unsubscribe();
+			});
+		});
+	};
+
+	/**
+	 * Parses a "name.namespace1.namespace2" listener label
+	 * @param {String} label the label, optional
+	 * @return {Object} of the form {name: String, namespaces: [String]}
+	 * @method parseLabel
+	 * @private
+	 */
+	function parseLabel(label) {
+		var parts = toolous.isDef(label) && label !== null ? String(label).split(".") : [""];
+		return {
+			name : parts.shift(),
+			namespaces : parts
+		};
+	}
+	/**
+	 * Returns true if the given listener entry is labeled by the given parsed label selector,
+	 * i.e. has the same name (if any given) and all of the namespaces of the selector
+	 * @param {Object} entry the listener entry
+	 * @param {Object} selector the parsed label selector
+	 * @return {boolean}
+	 * @method labelMatches
+	 * @private
+	 */
+	function labelMatches(entry, selector) {
+		if (selector.name && entry.name !== selector.name) {
+			return false;
+		}
+		for (var i = 0; i < selector.namespaces.length; ++i) {
+			if (selector.namespaces[i] && entry.namespaces.indexOf(selector.namespaces[i]) < 0) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Returns true if arg is a listener options object (i.e. a plain object that is neither a callback nor a list of callbacks)
+	 * @param {any} arg the value to check
+	 * @return {boolean}
+	 * @method isListenerOptions
+	 * @private
+	 */
+	function isListenerOptions(arg) {
+		return arg !== null && typeof arg === "object" && !toolous.isDef(arg.length);
+	}
+
+	/**
+	 * Parses jQuery style flags into an options object. <br/>
+	 * A string of space separated flag names (e.g. "once memory") is converted to an object with each flag set to true,
+	 * objects are copied so later changes to them do not affect the created list.
+	 * @param {String|Object} flags the flags to parse
+	 * @return {Object} a new options object
+	 * @method parseFlags
+	 * @private
+	 */
+	function parseFlags(flags) {
+		var options = {};
+		if (typeof flags === "string") {
+			toolous.forEach(flags.split(/\s+/), function(flag) {
+				if (flag.length) {
+					options[flag] = true;
+				}
+			});
+		} else {
+			toolous.merge(options, flags);
+		}
+		return options;
+	}
+
+	/**
+	 * Creates a new CallbackList in a jQuery.Callbacks compatible manner (see http://api.jquery.com/jQuery.Callbacks/). <br/>
+	 * Unlike the CallbackList constructor, memory is off unless specified and all of the list's methods are bound to it
+	 * so they can be passed around as callbacks themselves.
+	 * @param {String|Object} flags either a space separated list of flags (e.g. "once memory") or an options object
+	 * @return {CallbackList} a new callback list
+	 * @method Callbacks
+	 * @for deferred
+	 * @static
+	 */
+	function Callbacks(flags) {
+		var list = new CallbackList(toolous.merge({
+			memory : false
+		}, parseFlags(flags)));
+		toolous.forEachKey(CallbackList.prototype, function(name, func) {
+			if (name.charAt(0) !== "_") {//public API only
+				list[name] = toolous.bind(func, list);
+			}
+		});
+		return list;
+	}
+	//===========================END Callback lists===========================
+
+	//========================= Finite State Machine =========================
+	/**
+	 * Finite State Machine (Or a flying spaghetti monster). <br/>
+	 * A finite state machine has a state (string), and fires events when the state changes. <br/>
+	 * Each state has a CallbackList of listeners, fired with the context and arguments given when changing to it. <br/>
+	 * States may be nested by dots, e.g. "connected.idle" is a sub-state of "connected": being in a sub-state is also being in its parent states,
+	 * so changing into it fires the parent states' listeners as well, and it inherits the parent states' options. <br/>
+	 * A state may be timed by the state options {after: ms, goto: state}, changing to <code>goto</code> once the FSM has been in the state for <code>after</code> milliseconds
+	 * (timers use options.clock, and are cancelled if the state is left earlier). <br/>
+	 * The constructor throws an Error if the transition table doesn't allow a timed transition. If a guard vetoes it
+	 * (or the FSM is in a final sub-state by then), the FSM stays in the state, with no timer. <br/>
+	 * The events a state handles are given by the state options {events: {EVENT: handler}}, see {{#crossLink "FSM/send:method"}}{{/crossLink}}.
+	 * @param {Object} options Optional options object of the following format:
+	 * @param {string} options.state the initial state name. (default="initial")
+	 * @param {Object} options.stateOptions map between state names to their specific options. of the form {stateName: {once:bool, memory: bool, finalState: bool}}
+	 * (also accepted as options.statesOptions)
+	 * @param {boolean} options.once Default once value for states that don't have a specific once value in options.stateOptions.
+	 * true if to remove listeners after they are called (i.e. each listener is called for a single change into the state). (default=true)
+	 * @param {boolean} options.memory Default memory value for states that don't have a specific memory value in options.stateOptions.  true if to keep the last value (and context) in memory and fire on new listeners (default=true)
+	 * @param {boolean}: options.finalState: Default finalState value for states that don't have a specific finalState value in options.stateOptions. - true if the FSM cannot change states once in this one. (default=false)
+	 * @param {Object} options.transitions optional transition table, a map between state names to the array of states they may change into,
+	 * e.g. {idle: ["loading"], loading: ["idle", "failed"]}. When given, states without an entry cannot change. (default=any change is allowed)
+	 * @param {boolean} options.strict true to throw an Error on changes the transition table doesn't allow, false to return false (default=false)
+	 * @param {boolean|Number} options.history true to record the transitions (or the maximal number of transitions to keep), see {{#crossLink "FSM/history:method"}}{{/crossLink}} (default=false)
+	 * @param {Object} options.clock the clock used for timestamps and timed states, of the form {now, setTimeout, clearTimeout} (default=CallbackList.defaults.clock)
+	 * @param {Object} options.regions optional parallel regions, a map between region names to their options. <br/>
+	 * Each region is an FSM of its own (see {{#crossLink "FSM/region:method"}}{{/crossLink}}), created with this FSM's defaults (e.g. once, memory, scheduler) and its own options,
+	 * e.g. {network: {state: "offline"}, auth: {state: "guest", transitions: {...}}}.
+	 * Any other option (e.g. scheduler, isolateErrors) is passed on to the states' CallbackLists, see {{#crossLink "CallbackList"}}{{/crossLink}}
+	 * @class FSM
+	 */
+	function FSM(options) {
+		options = toolous.merge({
+			state : "initial"
+		}, options);
+
+		this._state = String(options.state);
+		this._listeners = {};
+		this._stateOpts = toolous.nvl(options.stateOptions, toolous.nvl(options.statesOptions, {}));
+		this._actualStateOpts = {};
+		this._transitions = options.transitions;
+		this._hooks = {};
+		this._transitionListeners = null;
+		this._strict = !!options.strict;
+		this._previous = undefined;
+		this._history = options.history ? [] : null;
+		this._historyLimit = options.history === true ? Infinity : options.history;
+		this._clock = options.clock || CallbackList.defaults.clock;
+		this._timers = {};
+		this._requests = []; //changes requested while changing state, see _request
+		this._changing = false;
+
+		this._stateOptDefs = toolous.merge({}, options, {
+			once : !!toolous.nvl(options.once, true),
+			memory : !!toolous.nvl(options.memory, true),
+			finalState : !!toolous.nvl(options.finalState, false)
+		});
+		delete this._stateOptDefs.state;
+		delete this._stateOptDefs.stateOptions;
+		delete this._stateOptDefs.statesOptions;
+		delete this._stateOptDefs.transitions;
+		delete this._stateOptDefs.strict;
+		delete this._stateOptDefs.history;
+		delete this._stateOptDefs.regions;
+
+		var me = this;
+		if (toolous.isDef(options.scheduler)) {//state lists are created lazily, a bad scheduler must fail here and not on a transition
+			checkScheduler(options.scheduler);
+		}
+		this._regions = {};
+		toolous.forEachKey(options.regions || {}, function(name, regionOptions) {
+			me._regions[name] = new FSM(toolous.merge({}, me._stateOptDefs, regionOptions));
+		});
+		toolous.forEachKey(this._stateOpts, function(state, stateOptions) {//timed transitions must be allowed, as they are made asynchronously
+			if (stateOptions && toolous.isDef(stateOptions.scheduler)) {
+				checkScheduler(stateOptions.scheduler);
+			}
+			if (stateOptions && toolous.isDef(stateOptions.after) && toolous.isDef(stateOptions.goto) && !me._isAllowed(String(stateOptions.goto), state)) {
+				throw new Error("Illegal timed transition from " + state + " to " + stateOptions.goto);
+			}
+		});
+		toolous.forEach(stateChain(this._state), function(state) {
+			me._startTimer(state);
+		});
+	}
+
+	//State options that apply to the state itself and are not inherited by its sub-states
+	var OWN_STATE_OPTIONS = ["after", "goto", "events"];
+
+	/**
+	 * Returns the given state and its parent states, outermost first, e.g. ["connected", "connected.idle"] for "connected.idle"
+	 * @param {String} state state name
+	 * @return {Array} the state chain
+	 * @method stateChain
+	 * @private
+	 */
+	function stateChain(state) {
+		var parts = state.split("."), chain = [];
+		for (var i = 1; i <= parts.length; ++i) {
+			chain.push(parts.slice(0, i).join("."));
+		}
+		return chain;
+	}
+
+	/**
+	 * Returns the actual state options for <code>state</code>, as a merge between the default state options and the specific state options
+	 * of the state and its parent states (inner states override outer ones) if any
+	 * @param {String} state state name
+	 * @method _getStateOptions
+	 * @return {Object} the options for the given state 
+	 * @private
+	 */
+	FSM.prototype._getStateOptions = function(state) {
+		var actual = this._actualStateOpts[state], me = this;
+		if (!toolous.isDef(actual)) {
+			this._actualStateOpts[state] = actual = toolous.merge({}, this._stateOptDefs);
+			toolous.forEach(stateChain(state), function(ancestor) {
+				var own = toolous.merge({}, me._stateOpts[ancestor]);
+				if (ancestor !== state) {
+					toolous.forEach(OWN_STATE_OPTIONS, function(key) {
+						delete own[key];
+					});
+				}
+				toolous.merge(actual, own);
+			});
+		}
+		return actual;
+	};
+	/**
+	 * returns the callback list for the given state name
+	 * @param {String} state state name
+	 * @return {CallbackList} the CallbackList for the given state
+	 * @method  _getCallbackList
+	 * @private
+	 */
+	FSM.prototype._getCallbackList = function(state) {
+		var cbList = this._listeners[state];
+		if (!cbList) {//create CallbackList
+			//The state can be changed into again, so 'once' is applied to the listeners (see _getListenerOptions) and not the list
+			var cblOptions = toolous.merge({}, this._getStateOptions(state), {
+				once : false
+			});
+			this._listeners[state] = cbList = new CallbackList(cblOptions);
+		}
+		return cbList;
+	};
+	/**
+	 * Returns the listener options for a listener of the given state, by default 'once' states' listeners are called once.
+	 * @param {String} state state name
+	 * @param {Object} options the listener options given, if any
+	 * @return {Object} the listener options
+	 * @method _getListenerOptions
+	 * @private
+	 */
+	FSM.prototype._getListenerOptions = function(state, options) {
+		if (this._getStateOptions(state).once && !(options && toolous.isDef(options.times))) {
+			options = toolous.merge({}, options, {
+				times : 1
+			});
+		}
+		return options;
+	};
+	/**
+	 * returns the callback list of the any-transition listeners, created on demand without memory.
+	 * @return {CallbackList}
+	 * @method _getTransitionList
+	 * @private
+	 */
+	FSM.prototype._getTransitionList = function() {
+		if (!this._transitionListeners) {
+			this._transitionListeners = new CallbackList(toolous.merge({}, this._stateOptDefs, {
+				once : false,
+				memory : false,
+				replay : undefined
+			}));
+		}
+		return this._transitionListeners;
+	};
+	/**
+	 * Adds func as a listener when the state changes to <code>state<code>. <br/>
+	 * state may also be an array of states to listen to each of them, or "*" to listen to every transition (see {{#crossLink "FSM/onTransition:method"}}{{/crossLink}}). <br/>
+	 * Pending calls of rate limited listeners are made when the state is left, before any listener of the new state is called.
+	 * @param {String|Array} state
+	 * @param {function|Array} func the listener (or an array of listeners)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method on
+	 * @return {FSM} this
+	 */
+	FSM.prototype.on = function(state, func, options) {
+		if (toolous.isArray(state)) {
+			var me = this;
+			toolous.forEach(state, function(state) {
+				me.on(state, func, options);
+			});
+			return this;
+		}
+		state = String(state);
+		if (state === "*") {
+			return this.onTransition(func, options);
+		}
+		var cbList = this._getCallbackList(state);
+		cbList.add(func, this._getListenerOptions(state, options));
+		return this;
+	};
+	/**
+	 * Adds func as a listener of every transition, called after the new state's listeners with (from, to, context, args). <br/>
+	 * Past transitions are not replayed to new listeners (regardless of the memory and replay options).
+	 * @param {function|Array} func the listener (or an array of listeners)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method onTransition
+	 * @return {FSM} this
+	 */
+	FSM.prototype.onTransition = function(func, options) {
+		this._getTransitionList().add(func, options);
+		return this;
+	};
+	/**
+	 * Same as on, but returns a subscription that removes the added listener
+	 * @param {String|Array} state
+	 * @param {function|Array} func the listener (or an array of listeners)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method subscribe
+	 * @return {Subscription}
+	 */
+	FSM.prototype.subscribe = function(state, func, options) {
+		if (toolous.isArray(state)) {
+			var subscriptions = [], me = this;
+			toolous.forEach(state, function(state) {
+				subscriptions.push(me.subscribe(state, func, options));
+			});
+			return Subscription.combine(subscriptions);
+		}
+		state = String(state);
+		if (state === "*") {
+			return this._getTransitionList().subscribe(func, options);
+		}
+		return this._getCallbackList(state).subscribe(func, this._getListenerOptions(state, options));
+	};
+	/**
+	 * Removes listeners of all states by a label selector, see {{#crossLink "CallbackList/off:method"}}{{/crossLink}}
+	 * @param {String} selector the label selector (optional)
+	 * @param {function} func only remove listeners of this function (optional)
+	 * @method off
+	 * @return {FSM} this
+	 */
+	FSM.prototype.off = function(selector, func) {
+		toolous.forEachKey(this._listeners, function(state, cbList) {
+			cbList.off(selector, func);
+		});
+		toolous.forEachKey(this._hooks, function(key, cbList) {
+			cbList.off(selector, func);
+		});
+		if (this._transitionListeners) {
+			this._transitionListeners.off(selector, func);
+		}
+		return this;
+	};
+
+	/**
+	 * returns the CallbackList of the given transition hook, hooks are called synchronously (regardless of the scheduler option) on every transition and have no memory.
+	 * Other options (e.g. isolateErrors) are the FSM's.
+	 * @param {String} key the hook key ("before", "after", "enter:state" or "exit:state")
+	 * @return {CallbackList} the hook's CallbackList
+	 * @method _getHookList
+	 * @private
+	 */
+	FSM.prototype._getHookList = function(key) {
+		var cbList = this._hooks[key];
+		if (!cbList) {
+			this._hooks[key] = cbList = new CallbackList(toolous.merge({}, this._stateOptDefs, {
+				once : false,
+				memory : false,
+				replay : undefined,
+				scheduler : "sync",
+				throttle : undefined,
+				debounce : undefined
+			}));
+		}
+		return cbList;
+	};
+	/**
+	 * Fires the given callback list if any, collecting the error thrown by its listeners (when not isolated) instead of throwing it
+	 * @param {CallbackList} cbList the list to fire, optional
+	 * @param {any} context the context to fire with
+	 * @param {Array} args the arguments to fire with
+	 * @param {Array} errors the array to add the error to
+	 * @method _fireList
+	 * @private
+	 */
+	FSM.prototype._fireList = function(cbList, context, args, errors) {
+		if (cbList) {
+			try {
+				cbList.fireWith(context, args);
+			} catch (e) {
+				errors.push(e);
+			}
+		}
+	};
+	/**
+	 * Makes the pending rate limited calls of the given state's listeners, so they are not called after the state is left
+	 * (e.g. throttled progress listeners before the deferred is resolved), collecting a thrown error
+	 * @param {String} state state name
+	 * @param {Array} errors the array to add a thrown error to
+	 * @method _flushList
+	 * @private
+	 */
+	FSM.prototype._flushList = function(state, errors) {
+		var cbList = this._listeners[state];
+		if (cbList) {
+			try {
+				cbList._flushLimiters();
+			} catch (e) {
+				errors.push(e);
+			}
+		}
+	};
+	/**
+	 * Fires the given transition hook, if it has any listeners
+	 * @param {String} key the hook key
+	 * @param {String} from the state changed from
+	 * @param {String} to the state changed to
+	 * @param {any} context the transition's context
+	 * @param {Array} args the transition's arguments
+	 * @param {Array} errors the array to add a thrown error to
+	 * @method _fireHook
+	 * @private
+	 */
+	FSM.prototype._fireHook = function(key, from, to, context, args, errors) {
+		this._fireList(this._hooks[key], context, [from, to, context, args], errors);
+	};
+	/**
+	 * Adds a guard that is called before every transition with (from, to, context, args), and can veto it by returning false. <br/>
+	 * Guards are called by priority order, on every transition attempt (until vetoed).
+	 * @param {function|Array} func the guard (or an array of guards)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}, rate limiting is not supported
+	 * @method beforeTransition
+	 * @return {FSM} this
+	 */
+	FSM.prototype.beforeTransition = function(func, options) {
+		if (options && isRateLimited(options)) {
+			throw new Error("Guards cannot be rate limited");
+		}
+		this._getHookList("before").add(func, options);
+		return this;
+	};
+	/**
+	 * Adds a hook that is called after every transition (and after the new state's listeners) with (from, to, context, args)
+	 * @param {function|Array} func the hook (or an array of hooks)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method afterTransition
+	 * @return {FSM} this
+	 */
+	FSM.prototype.afterTransition = function(func, options) {
+		this._getHookList("after").add(func, options);
+		return this;
+	};
+	/**
+	 * Adds a hook that is called whenever the FSM enters <code>state</code> (before the state's listeners), with (from, to, context, args). <br/>
+	 * Unlike listeners added by {{#crossLink "FSM/on:method"}}{{/crossLink}}, enter hooks are called on every entry and are not called for past entries.
+	 * @param {String} state state name
+	 * @param {function|Array} func the hook (or an array of hooks)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method onEnter
+	 * @return {FSM} this
+	 */
+	FSM.prototype.onEnter = function(state, func, options) {
+		this._getHookList("enter:" + state).add(func, options);
+		return this;
+	};
+	/**
+	 * Adds a hook that is called whenever the FSM leaves <code>state</code>, with (from, to, context, args)
+	 * @param {String} state state name
+	 * @param {function|Array} func the hook (or an array of hooks)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method onExit
+	 * @return {FSM} this
+	 */
+	FSM.prototype.onExit = function(state, func, options) {
+		this._getHookList("exit:" + state).add(func, options);
+		return this;
+	};
+	/**
+	 * Adds a hook that is called with (event, state, args) when an event sent by {{#crossLink "FSM/send:method"}}{{/crossLink}} is not handled by the current state
+	 * @param {function|Array} func the hook (or an array of hooks)
+	 * @param {Object} options optional listener options, see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}
+	 * @method onUnhandled
+	 * @return {FSM} this
+	 */
+	FSM.prototype.onUnhandled = function(func, options) {
+		this._getHookList("unhandled").add(func, options);
+		return this;
+	};
+	/**
+	 * Calls the guards for the given transition
+	 * @param {String} from the state changed from
+	 * @param {String} to the state changed to
+	 * @param {any} context the transition's context
+	 * @param {Array} args the transition's arguments
+	 * @return {boolean} false if any guard vetoed the transition
+	 * @method _checkGuards
+	 * @private
+	 */
+	FSM.prototype._checkGuards = function(from, to, context, args) {
+		var cbList = this._hooks.before, guards = cbList ? cbList._callbacks.slice() : [], guardArgs = [from, to, context, args];
+		for (var i = 0; i < guards.length; ++i) {
+			if (cbList._callbacks.indexOf(guards[i]) > -1) {//not removed by a previous guard
+				cbList._countCall(guards[i]);
+				if (cbList._invoke(guards[i].fn, context, guardArgs) === false) {
+					return false;
+				}
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Checks whether the transition table allows changing from the current state (or the given one) to <code>state</code>. <br/>
+	 * The targets of the current state's parent states are allowed as well, as are the sub-states of allowed targets.
+	 * @param {String} state state name
+	 * @param {String} from the state to change from (default=the current state)
+	 * @return {boolean} true if allowed (or if there is no transition table)
+	 * @method _isAllowed
+	 * @private
+	 */
+	FSM.prototype._isAllowed = function(state, from) {
+		if (!this._transitions) {
+			return true;
+		}
+		var sources = stateChain(toolous.nvl(from, this._state)), targets = stateChain(state);
+		for (var i = 0; i < sources.length; ++i) {
+			var allowed = this._transitions[sources[i]];
+			for (var j = 0; allowed && j < targets.length; ++j) {
+				if (allowed.indexOf(targets[j]) > -1) {
+					return true;
+				}
+			}
+		}
+		return false;
+	};
+	/**
+	 * Returns whether the FSM is currently in <code>state</code> or in one of its sub-states
+	 * @param {String} state state name
+	 * @return {boolean}
+	 * @method is
+	 */
+	FSM.prototype.is = function(state) {
+		state = String(state);
+		return this._state === state || this._state.indexOf(state + ".") === 0;
+	};
+	/**
+	 * Returns the number of listeners of <code>state</code> (not including the listeners of its parent states)
+	 * @param {String} state state name
+	 * @return {Number}
+	 * @method size
+	 */
+	FSM.prototype.size = function(state) {
+		var cbList = this._listeners[String(state)];
+		return cbList ? cbList.size() : 0;
+	};
+	/**
+	 * Returns whether the FSM ever changed into <code>state</code> (or one of its sub-states)
+	 * @param {String} state state name
+	 * @return {boolean}
+	 * @method fired
+	 */
+	FSM.prototype.fired = function(state) {
+		var cbList = this._listeners[String(state)];
+		return !!cbList && cbList.fired();
+	};
+	/**
+	 * Returns whether the FSM can currently change to <code>state</code>, i.e. the current state is not final and the transition table (if any) allows it.
+	 * @param {String} state state name
+	 * @return {boolean} true if the change is possible
+	 * @method can
+	 */
+	FSM.prototype.can = function(state) {
+		return !this._getStateOptions(this._state).finalState && this._isAllowed(String(state));
+	};
+	/**
+	 * If state is defined, attempts to change to it, firing any listeners upon change. <br/>
+	 * Trying to change from a final state has no effect, doesn't fire any event listeners and returns false. <br/>
+	 * Changes the transition table doesn't allow return false as well, or throw an Error if the FSM is strict. <br/>
+	 * A change is made by calling the guards (any of which may veto it, returning false), the exit hooks of the states left (inner first),
+	 * the enter hooks of the states entered (outer first), the listeners of the new state and its parent states (outer first),
+	 * the any-transition listeners and finally the after hooks. <br/>
+	 * Parent states shared by the current and new states are not left or entered, unless the new state is the parent state itself. <br/>
+	 * An error thrown by a hook or listener (when errors are not isolated) does not stop the change, the first one is thrown once the change is done. <br/>
+	 * A change requested by a hook or listener (i.e. while changing state) is queued and made once the current change is done,
+	 * so every hook and listener sees the changes in order.
+	 * @param {string} state the state name to change into. undefined has no affect and just retrieves the state.
+	 * @param {any} context the context to send to the event listeners.
+	 * @param {any...} arguments the arguments to pass forward to the event listeners
+	 * @return the state after the change (if any change occurred) or false if trying to change from a final state.
+	 * @method state
+	 * @return false if trying to change a final state, making a disallowed change or vetoed by a guard, else the state after the method invocation
+	 * (the current state if the change was queued)
+	 */
+	FSM.prototype.state = function(state,context) {
+		if (toolous.isDef(state)) {//change
+			var args = toolous.toArray(arguments, 2); //Removing state and context
+			if (!this._request(function() {
+				return this._transition(String(state), context, args);
+			})) {
+				return false;
+			}
+		}
+		//get
+		return this._state;
+	};
+	/**
+	 * Makes a state change request, or queues it if already changing state (i.e. requested by a hook or listener). <br/>
+	 * Queued requests are made by order once the current one is done, errors they throw are collected and the first one is thrown
+	 * once all of them are done.
+	 * @param {function} request makes the change, called with the FSM as its context, returns true if changed
+	 * @return {boolean} the request's result, or true if queued
+	 * @method _request
+	 * @private
+	 */
+	FSM.prototype._request = function(request) {
+		var errors = [], result, value, first = true;
+		this._requests.push(request);
+		if (this._changing) {
+			return true;
+		}
+		this._changing = true;
+		while (this._requests.length) {
+			try {
+				value = this._requests.shift().call(this);
+				if (first) {
+					result = value;
+				}
+			} catch (e) {
+				errors.push(e);
+			}
+			first = false;
+		}
+		this._changing = false;
+		if (errors.length) {
+			throw errors[0];
+		}
+		return result;
+	};
+	/**
+	 * Attempts to change to the given state, see {{#crossLink "FSM/state:method"}}{{/crossLink}}
+	 * @param {String} to the state to change into
+	 * @param {any} context the context to send to the hooks and listeners
+	 * @param {Array} args the arguments to send to the hooks and listeners
+	 * @param {boolean} undoing true if undoing the last transition, which is not recorded
+	 * @return {boolean} true if changed
+	 * @method _transition
+	 * @private
+	 */
+	FSM.prototype._transition = function(to, context, args, undoing) {
+		var from = this._state;
+		//check if final
+		if (this._getStateOptions(from).finalState) {
+			return false;
+			//Cannot change.
+		}
+		if (!this._isAllowed(to)) {
+			if (this._strict) {
+				throw new Error("Illegal transition from " + from + " to " + to);
+			}
+			return false;
+		}
+		if (!this._checkGuards(from, to, context, args)) {
+			return false;
+		}
+		var fromChain = stateChain(from), toChain = stateChain(to), i = 0, errors = [];
+		while (i < toChain.length - 1 && fromChain[i] === toChain[i]) {//shared parent states
+			++i;
+		}
+		for (var exit = fromChain.length - 1; exit >= i; --exit) {
+			this._stopTimer(fromChain[exit]);
+			if (toChain.indexOf(fromChain[exit]) < 0) {//actually left (and not changed into again)
+				this._flushList(fromChain[exit], errors);
+			}
+			this._fireHook("exit:" + fromChain[exit], from, to, context, args, errors);
+		}
+		this._state = to;
+		this._previous = from;
+		if (this._history && !undoing) {
+			this._history.push({
+				from : from,
+				to : to,
+				time : this._clock.now(),
+				context : context,
+				args : args
+			});
+			if (this._history.length > this._historyLimit) {
+				this._history.shift();
 			}
-			//also removes the listener if once===true
 		}
-		return this;
+		for (var enter = i; enter < toChain.length; ++enter) {
+			this._startTimer(toChain[enter]);
+			this._fireHook("enter:" + toChain[enter], from, to, context, args, errors);
+		}
+		for (var j = 0; j < toChain.length; ++j) {
+			this._fireList(this._getCallbackList(toChain[j]), context, args, errors);
+		}
+		this._fireList(this._transitionListeners, context, [from, to, context, args], errors);
+		this._fireHook("after", from, to, context, args, errors);
+		if (errors.length) {
+			throw errors[0];
+		}
+		return true;
 	};
 	/**
-	 * Fires all listeners with the given context and any arguments given after it
-	 * @param {any} context the context to fire the callbacks with
-	 * @param {any...} args the arguments to send all callback listeners
-	 * @method fireWith
-	 * @return {CallbackList} this
+	 * Sends an event to the FSM, handled by the current state's handler of the event (or else its closest parent state's handler). <br/>
+	 * Handlers are given by the state options {events: {EVENT: handler}}, where a handler is either a target state name,
+	 * or an object of the form {target: state name (optional), actions: function or array of functions (optional)}. <br/>
+	 * The FSM changes to the target state (see {{#crossLink "FSM/state:method"}}{{/crossLink}}) with the given arguments,
+	 * and if the change succeeded (or there is no target) the actions are called with the given arguments and the FSM as their context. <br/>
+	 * Events without a handler (or with a null handler) are reported to the {{#crossLink "FSM/onUnhandled:method"}}{{/crossLink}} hooks. <br/>
+	 * Events sent by a hook or listener are handled once the current change is done.
+	 * @param {String} event the event name
+	 * @param {any...} arguments the event arguments (payload) to pass forward to the hooks, listeners and actions
+	 * @return the state after handling the event, or false if it was not handled or the change failed
+	 * @method send
 	 */
-	CallbackList.prototype.fireWith = function(context) {
+	FSM.prototype.send = function(event) {
 		var args = toolous.toArray(arguments, 1);
-		//ignore context as a parameter to the callback
-		if (this.options.memory) {//store value in memory
-			this.firedArgs = args;
-			this.firedContext = context;
+		return this._request(function() {
+			return this._send(event, args);
+		}) && this._state;
+	};
+	/**
+	 * Handles an event, see {{#crossLink "FSM/send:method"}}{{/crossLink}}
+	 * @param {String} event the event name
+	 * @param {Array} args the event arguments
+	 * @return {boolean} false if the event was not handled or the change failed
+	 * @method _send
+	 * @private
+	 */
+	FSM.prototype._send = function(event, args) {
+		var chain = stateChain(this._state), handler, me = this;
+		for (var i = chain.length - 1; i >= 0 && !toolous.isDef(handler); --i) {
+			var events = this._getStateOptions(chain[i]).events;
+			if (events && Object.prototype.hasOwnProperty.call(events, event) && events[event] !== null) {//null is no handler
+				handler = events[event];
+			}
+		}
+		if (!toolous.isDef(handler)) {
+			if (this._hooks.unhandled) {
+				this._hooks.unhandled.fireWith(this, [event, this._state, args]);
+			}
+			return false;
+		}
+		if (typeof handler === "string") {
+			handler = {
+				target : handler
+			};
+		}
+		if (toolous.isDef(handler.target) && !this._transition(String(handler.target), undefined, args)) {
+			return false;
 		}
-		toolous.forEach(this._callbacks, function(cb) {
-			cb.apply(context, args);
+		toolous.forEach(flattenCallbacks([handler.actions]), function(action) {
+			action.apply(me, args);
 		});
-		if (this.options.once) {//clean listeners
-			this._callbacks = [];
+		return true;
+	};
+	/**
+	 * Starts the timer of the given state if it is a timed state, see the {after, goto} state options
+	 * @param {String} state the entered state
+	 * @method _startTimer
+	 * @private
+	 */
+	FSM.prototype._startTimer = function(state) {
+		var stateOptions = this._getStateOptions(state), me = this;
+		if (toolous.isDef(stateOptions.after) && toolous.isDef(stateOptions.goto)) {
+			this._timers[state] = this._clock.setTimeout(function() {
+				delete me._timers[state];
+				me._request(function() {
+					return this._transition(String(stateOptions.goto), undefined, []);
+				});
+			}, stateOptions.after);
 		}
-		return this;
 	};
 	/**
-	 * Fires all listeners with the null context and any arguments given to fire.<br/>
-	 * Equals to fireWith(null,...)
-	 * @param {any...} args the arguments to send all callback listeners
-	 * @method fire
-	 * @return {CallbackList} this
+	 * Cancels the timer of the given state, if any
+	 * @param {String} state the left state
+	 * @method _stopTimer
+	 * @private
+	 */
+	FSM.prototype._stopTimer = function(state) {
+		if (this._timers.hasOwnProperty(state)) {
+			this._clock.clearTimeout(this._timers[state]);
+			delete this._timers[state];
+		}
+	};
+	/**
+	 * Returns the recorded transitions (if the history option is set), oldest first, each of the form {from, to, time, context, args}
+	 * @return {Array} a copy of the history
+	 * @method history
 	 */
-	CallbackList.prototype.fire = function() {//Fire without context
-		return this.fireWith.apply(this, toolous.toArray(arguments, 0, null));
+	FSM.prototype.history = function() {
+		var history = [];
+		toolous.forEach(this._history || [], function(entry) {
+			history.push(toolous.merge({}, entry));
+		});
+		return history;
 	};
-	//===========================END Callback lists===========================
-
-	//========================= Finite State Machine =========================
 	/**
-	 * Finite State Machine (Or a flying spaghetti monster). <br/>
-	 * A finite state machine has a state (string), and fires events when the state changes
-	 * @param {Object} options Optional options object of the following format:
-	 * @param {string} options.state the initial state name. (default="initial")
-	 * @param {Object} options.stateOptions map between state names to their specific options. of the form {stateName: {once:bool, memory: bool, finalState: bool}}
-	 * @param {boolean} options.once Default once value for states that don't have a specific once value in options.stateOptions.  true if to remove listeners after firing. (default=true)
-	 * @param {boolean} options.memory Default memory value for states that don't have a specific memory value in options.stateOptions.  true if to keep the last value (and context) in memory and fire on new listeners (default=true)
-	 * @param {boolean}: options.finalState: Default finalState value for states that don't have a specific finalState value in options.stateOptions. - true if the FSM cannot change states once in this one. (default=false)
-	 * @class FSM
+	 * Returns the state the FSM changed from into the current state
+	 * @return {String} the previous state, undefined if the state never changed
+	 * @method previous
 	 */
-	function FSM(options) {
-		options = toolous.merge({
-			state : "initial"
-		}, options);
-
-		this._state = String(options.state);
-		this._listeners = {};
-		this._stateOpts = toolous.nvl(options.statesOptions, {});
-		this._actualStateOpts = {};
-
-		this._stateOptDefs = {
-			once : !!toolous.nvl(options.once, true),
-			memory : !!toolous.nvl(options.memory, true),
-			finalState : !!toolous.nvl(options.finalState, false)
-		};
-	}
+	FSM.prototype.previous = function() {
+		return this._previous;
+	};
+	/**
+	 * Changes back to the state before the last recorded transition, removing it from the history. <br/>
+	 * Going back is a transition like any other: it is not possible from a final state, guards, hooks and listeners are called
+	 * and when requested by a hook or listener it is made once the current change is done.
+	 * @param {any} context the context to send to the hooks and listeners
+	 * @param {any...} arguments the arguments to pass forward to the hooks and listeners
+	 * @return the state after going back, or false if there is no recorded transition or the transition failed
+	 * @method back
+	 */
+	FSM.prototype.back = function(context) {
+		var args = toolous.toArray(arguments, 1);
+		return this._request(function() {
+			var last = this._history && this._history[this._history.length - 1];
+			if (!last || !this._transition(last.from, context, args, true)) {
+				return false;
+			}
+			this._history.splice(this._history.indexOf(last), 1);
+			last = this._history[this._history.length - 1];
+			this._previous = last && last.from;
+			return true;
+		}) && this._state;
+	};
+	/**
+	 * Same as {{#crossLink "FSM/back:method"}}{{/crossLink}}
+	 * @method undo
+	 */
+	FSM.prototype.undo = FSM.prototype.back;
 
 	/**
-	 * Returns the actual state options for <code>state</code>, as a merge between the default state options and the specific state options if any
-	 * @param {String} state state name
-	 * @method _getStateOptions
-	 * @return {Object} the options for the given state 
-	 * @private
+	 * Returns the given parallel region, an FSM to change the region's state and add region-scoped listeners and hooks
+	 * @param {String} name the region name, as given in options.regions
+	 * @return {FSM} the region
+	 * @method region
 	 */
-	FSM.prototype._getStateOptions = function(state) {
-		var actual = this._actualStateOpts[state];
-		if (!toolous.isDef(actual)) {
-			this._actualStateOpts[state] = actual = toolous.merge({}, this._stateOptDefs, this._stateOpts[state]);
+	FSM.prototype.region = function(name) {
+		var region = this._regions[name];
+		if (!region) {
+			throw new Error("Unknown region " + name);
 		}
-		return actual;
+		return region;
 	};
 	/**
-	 * returns the callback list for the given state name
-	 * @param {String} state state name
-	 * @return {CallbackList} the CallbackList for the given state
-	 * @method  _getCallbackList
-	 * @private
+	 * Returns the current states of all regions
+	 * @return {Object} a map between region names to their states, e.g. {network: "online", auth: "guest"}
+	 * @method states
 	 */
-	FSM.prototype._getCallbackList = function(state) {
-		var cbList = this._listeners[state];
-		if (!cbList) {//create CallbackList
-			var cblOptions = this._getStateOptions(state);
-			this._listeners[state] = cbList = new CallbackList(cblOptions);
-		}
-		return cbList;
+	FSM.prototype.states = function() {
+		var states = {};
+		toolous.forEachKey(this._regions, function(name, region) {
+			states[name] = region.state();
+		});
+		return states;
 	};
 	/**
-	 * Adds func as a listener when the state changes to <code>state<code>
-	 * @param {Object} state
-	 * @param {Object} func
-	 * @method on
+	 * Returns whether the regions are currently in the given states (or their sub-states)
+	 * @param {Object} states a map between region names to states, regions not in the map may be in any state
+	 * @return {boolean}
+	 * @method matches
 	 */
-	FSM.prototype.on = function(state, func) {
-		state = String(state);
-		var cbList = this._getCallbackList(state);
-		cbList.add(func);
+	FSM.prototype.matches = function(states) {
+		var me = this, matches = true;
+		toolous.forEachKey(states, function(name, state) {
+			matches = matches && me.region(name).is(state);
+		});
+		return matches;
 	};
-
 	/**
-	 * If state is defined, attempts to change to it, firing any listeners upon change. <br/>
-	 * Trying to change from a final state has no effect, doesn't any event listeners and returns false.
-	 * @param {string} state the state name to change into. undefined has no affect and just retrieves the state.
-	 * @param {any} context the context to send to the event listeners.
-	 * @param {any...} arguments the arguments to pass forward to the event listeners
-	 * @return the state after the change (if any change occurred) or false if trying to change from a final state.
-	 * @method state
-	 * @return false if trying to change a final state, else the state after the method invocation 
+	 * Waits until the regions are in the given states at once, see {{#crossLink "FSM/matches:method"}}{{/crossLink}}. <br/>
+	 * The regions are checked synchronously after each of their transitions, so states that hold only briefly are matched as well.
+	 * @param {Object} states a map between region names to states
+	 * @return {Promise} resolved with the states of all regions (see {{#crossLink "FSM/states:method"}}{{/crossLink}}) once matched,
+	 * at once if they already match
+	 * @method waitFor
 	 */
-	FSM.prototype.state = function(state,context) {
-		if (toolous.isDef(state)) {//change
-			var currentStateOptions = this._getStateOptions(this._state);
-			//check if final
-			if (currentStateOptions.finalState) {
-				return false;
-				//Cannot change.
+	FSM.prototype.waitFor = function(states) {
+		var me = this, deferred = new Deferred(), subscriptions = [];
+		function check() {
+			if (me.matches(states)) {
+				Subscription.combine(subscriptions).unsubscribe();
+				deferred.resolve(me.states());
 			}
-			this._state = state = String(state);
-			var args = toolous.toArray(arguments, 1); //Removing state, keeping context //2, context);
-			//skipping state
-			var cbList = this._getCallbackList(state);
-			cbList.fireWith.apply(cbList, args);
 		}
-		//get
-		return this._state;
+		check();
+		if (deferred.state() === "pending") {
+			toolous.forEachKey(states, function(name) {
+				subscriptions.push(me.region(name)._getHookList("after").subscribe(check));
+			});
+		}
+		return deferred.promise();
 	};
 	//======================= END Finite State Machine =======================
 
@@ -217,7 +2002,32 @@
 	 * see {{#crossLink "Deferred/progress:method"}}{{/crossLink}}
 	 * @method progress
 	 */
-		"progress"];
+		"progress",
+		/**
+	 * see {{#crossLink "Deferred/subscribe:method"}}{{/crossLink}}
+	 * @method subscribe
+	 */
+		"subscribe",
+		/**
+	 * see {{#crossLink "Deferred/off:method"}}{{/crossLink}}
+	 * @method off
+	 */
+		"off",
+		/**
+	 * see {{#crossLink "Deferred/progressIterator:method"}}{{/crossLink}}
+	 * @method progressIterator
+	 */
+		"progressIterator",
+		/**
+	 * see {{#crossLink "Deferred/size:method"}}{{/crossLink}}
+	 * @method size
+	 */
+		"size",
+		/**
+	 * see {{#crossLink "Deferred/fired:method"}}{{/crossLink}}
+	 * @method fired
+	 */
+		"fired"];
 	
 	/**
 	 * Promise exposes the only promise's set of methods from a deferred object.
@@ -326,17 +2136,30 @@
 	/**
 	 * Returns a new empty deferred instance
 	 * @param {function(Deferred)} init a callback to be called once this deferred is initialized
+	 * @param {Object} options optional options for the deferred's listeners (inherited by deferreds created with then)
+	 * @param {String|function(task)} options.scheduler when listeners are called, see {{#crossLink "CallbackList"}}{{/crossLink}}
+	 * @param {boolean} options.isolateErrors true if to catch errors thrown by listeners, see {{#crossLink "CallbackList"}}{{/crossLink}}
+	 * @param {function(error, listener, context, args)} options.onError called with the caught errors when isolating errors
+	 * @param {Number} options.progressReplay the number of last progress notifications to replay to new progress listeners, can be Infinity (default=1)
 	 * @constructor
 	 */	
-	function Deferred(init) {
+	function Deferred(init, options) {
 		if (!(this instanceof Deferred)) {//must be called with new.
-			return new Deferred(init);
+			return new Deferred(init, options);
 		}
-		var deferred = this;
-		this._fsm = new FSM({
+		var deferred = this, statesOptions = STATES;
+		this._options = options;
+		if (options && options.progressReplay) {
+			statesOptions = toolous.merge({}, STATES, {
+				pending : toolous.merge({}, STATES.pending, {
+					replay : options.progressReplay
+				})
+			});
+		}
+		this._fsm = new FSM(toolous.merge({}, options, {
 			state : "pending",
-			statesOptions : STATES
-		});
+			statesOptions : statesOptions
+		}));
 
 		var promise = new Promise(this);
 		this.promise = function(obj) {
@@ -359,27 +2182,45 @@
 		}
 	}
 
+	/**
+	 * Adds listeners to the given state(s) by listen method arguments:
+	 * callbacks (or arrays of callbacks), optionally labeled by a leading "name.namespace" and followed by listener options (e.g. {priority: 10})
+	 * @param {String|Array} state the state (or states) to listen to
+	 * @param {Arguments} args the listen method's arguments
+	 * @return {Deferred} this
+	 * @method _listen
+	 * @private
+	 */
+	Deferred.prototype._listen = function(state, args) {
+		var callbacks = [], options;
+		args = toolous.toArray(args);
+		if (isListenerOptions(args[args.length - 1])) {
+			options = args.pop();
+		}
+		if (typeof args[0] === "string") {
+			options = toolous.merge({}, options, {
+				namespace : args.shift()
+			});
+		}
+		toolous.forEach(args, function(cb) {
+			if (toolous.isArray(cb)) {
+				callbacks = callbacks.concat(cb);
+			}
+			else if(toolous.isFunction(cb)) {
+				callbacks.push(cb);
+			}
+		});
+		this._fsm.on(state, callbacks, options);
+
+		return this;
+	};
 
 	toolous.forEachKey(STATES, function(state, stateDefinition) {
 		var fire = stateDefinition.fire, listen = stateDefinition.listen, query = stateDefinition.query;
 
-		Deferred.prototype[listen] = function(cb) {//Add listeners
-			var callbacks = [];
-			toolous.forEach(toolous.toArray(arguments), function(cb) {
-				if (toolous.isArray(cb)) {
-					callbacks = callbacks.concat(cb);
-				}
-				else if(toolous.isFunction(cb)) {
-					callbacks.push(cb);
-				}
-			});
-			// console.log(callbacks);
-			var me = this;
-			toolous.forEach(callbacks, function(cb) {
-				me._fsm.on(state, cb);
-			});
-			
-			return this;
+		//Add listeners, see _listen
+		Deferred.prototype[listen] = function() {
+			return this._listen(state, arguments);
 		};
 		Deferred.prototype[fire] = function() {
 			this[fire + "With"].apply(this, toolous.toArray(arguments, 0, this.promise()));
@@ -397,12 +2238,68 @@
 		}
 	});
 	
+	/**
+	 * Binds listeners by the given handlers object, returning a subscription to remove all of them at once
+	 * @param {Object} handlers of the form {done: callbacks, fail: callbacks, progress: callbacks}, all optional
+	 * @param {Object} options optional listener options (e.g. {priority: 10})
+	 * @method subscribe
+	 * @return {Subscription}
+	 */
+	Deferred.prototype.subscribe = function(handlers, options) {
+		var subscriptions = [], me = this;
+		toolous.forEachKey(STATES, function(state, stateDefinition) {
+			var callbacks = handlers[stateDefinition.listen];
+			if (callbacks) {
+				subscriptions.push(me._fsm.subscribe(state, callbacks, options));
+			}
+		});
+		return Subscription.combine(subscriptions);
+	};
+	/**
+	 * Removes listeners of all states by a label selector, e.g. off(".ui") removes all listeners in the ui namespace.
+	 * See {{#crossLink "CallbackList/off:method"}}{{/crossLink}}
+	 * @param {String} selector the label selector (optional)
+	 * @param {function} cb only remove listeners of this callback (optional)
+	 * @method off
+	 * @return {Deferred} this
+	 */
+	Deferred.prototype.off = function(selector, cb) {
+		this._fsm.off(selector, cb);
+		return this;
+	};
+	/**
+	 * Returns an async iterator of this deferred's progress notifications, each value being the array of arguments of a notification
+	 * (so it can be consumed with <code>for await (const [value] of deferred.progressIterator())</code>). <br/>
+	 * The last notification (or more, see the progressReplay option) is iterated first if any.
+	 * The iteration ends when this deferred is resolved and throws (the first rejection argument) when it is rejected,
+	 * in both cases once the buffered notifications are consumed.
+	 * @param {Object} options optional iterator options, see {{#crossLink "CallbackList/iterator:method"}}{{/crossLink}}
+	 * @method progressIterator
+	 * @return {AsyncListIterator}
+	 */
+	Deferred.prototype.progressIterator = function(options) {
+		var iterator = new AsyncListIterator(options);
+		//subscribing to progress first, so remembered notifications are buffered before a remembered resolution
+		iterator._attach(Subscription.combine([this.subscribe({
+			progress : function() {
+				iterator._push(toolous.toArray(arguments));
+			}
+		}), this.subscribe({
+			done : function() {
+				iterator._end(false);
+			},
+			fail : function(error) {
+				iterator._end(true, error);
+			}
+		})]));
+		return iterator;
+	};
 	/**
 	 * Bind a listener to be called on done or rejected
 	 * @method always 
 	 */
 	Deferred.prototype.always = function() {
-		return this.done.apply(this, arguments).fail.apply(this, arguments);
+		return this._listen(["resolved", "rejected"], arguments);
 	};
 	/**
 	 * Returns the current state 'pending', 'resolved' or 'rejected'
@@ -411,13 +2308,45 @@
 	Deferred.prototype.state = function() {
 		return this._fsm.state();
 	};
+	/**
+	 * Returns the number of listeners bound to this deferred, e.g. for diagnostics
+	 * @param {String} state only count the listeners of this state, 'pending' (progress), 'resolved' (done) or 'rejected' (fail) (optional)
+	 * @return {Number}
+	 * @method size
+	 */
+	Deferred.prototype.size = function(state) {
+		var fsm = this._fsm, size = 0;
+		if (toolous.isDef(state)) {
+			return fsm.size(state);
+		}
+		toolous.forEachKey(STATES, function(state) {
+			size += fsm.size(state);
+		});
+		return size;
+	};
+	/**
+	 * Returns whether this deferred has fired, i.e. was notified ('pending'), resolved or rejected
+	 * @param {String} state only check this state, 'pending', 'resolved' or 'rejected' (optional)
+	 * @return {boolean}
+	 * @method fired
+	 */
+	Deferred.prototype.fired = function(state) {
+		var fsm = this._fsm, fired = false;
+		if (toolous.isDef(state)) {
+			return fsm.fired(state);
+		}
+		toolous.forEachKey(STATES, function(state) {
+			fired = fired || fsm.fired(state);
+		});
+		return fired;
+	};
 	/**
 	 * See http://api.jquery.com/deferred.then/
 	 * @method then 
 	 */
 	Deferred.prototype.then = function(/*doneFilter, failFilter, progressFilter*/) {//Took some inspiration from jQuery's implementation at https://github.com/jquery/jquery/blob/master/src/deferred.js
 		var args = arguments,
-			retDeferred = new Deferred(), //"returns a new promise that can filter the status and values of a deferred through a function"
+			retDeferred = new Deferred(undefined, this._options), //"returns a new promise that can filter the status and values of a deferred through a function"
 			me = this; //The deferred on which to perform the filter
 		toolous.forEachKey(STATES, function(state, stateDefinition) {
 			var i = stateDefinition.thenIndex,
@@ -551,6 +2480,283 @@
 		return resDef.promise();
 	};
 
+	//================================ Hooks =================================
+	//The options hooks support, as the taps are called directly by the hooks and not fired by their CallbackList
+	var HOOK_OPTIONS = ["unique"], TAP_OPTIONS = ["priority", "namespace"];
+
+	/**
+	 * Throws an Error if the given options include options other than the allowed ones
+	 * @param {Object} options the options given, if any
+	 * @param {Array} allowed the allowed option names
+	 * @method checkHookOptions
+	 * @private
+	 */
+	function checkHookOptions(options, allowed) {
+		toolous.forEachKey(options || {}, function(key) {
+			if (allowed.indexOf(key) < 0) {
+				throw new Error("Unsupported hook option " + key);
+			}
+		});
+	}
+
+	/**
+	 * Base class for hooks, a hook is a list of taps (listeners) whose return values are used when it is called. <br/>
+	 * Taps are kept in a CallbackList and accept its priority and namespace options (and labels), see {{#crossLink "CallbackList/add:method"}}{{/crossLink}}.
+	 * Any other option throws an Error.
+	 * @param {Object} options optional options of the form {unique: bool}, true if a tap can only be added once
+	 * @class Hook
+	 * @constructor
+	 */
+	function Hook(options) {
+		checkHookOptions(options, HOOK_OPTIONS);
+		this._taps = new CallbackList(toolous.merge({
+			memory : false
+		}, options));
+	}
+	/**
+	 * Returns the taps' CallbackList after checking the tap options, if given as the last of the given arguments
+	 * @param {Arguments} args the tap arguments
+	 * @return {CallbackList}
+	 * @method _checkTap
+	 * @private
+	 */
+	Hook.prototype._checkTap = function(args) {
+		var options = args[args.length - 1];
+		if (isListenerOptions(options)) {
+			checkHookOptions(options, TAP_OPTIONS);
+		}
+		return this._taps;
+	};
+	/**
+	 * Adds the given functions as taps of this hook
+	 * @param {function|Array...} taps the tap functions
+	 * @param {Object} options optional tap options, of the form {priority, namespace}
+	 * @method tap
+	 * @return {Hook} this
+	 */
+	Hook.prototype.tap = function() {
+		this._checkTap(arguments).add.apply(this._taps, arguments);
+		return this;
+	};
+	/**
+	 * Removes every instance of the given taps
+	 * @param {function|Array...} taps the tap functions
+	 * @method untap
+	 * @return {Hook} this
+	 */
+	Hook.prototype.untap = function() {
+		this._taps.remove.apply(this._taps, arguments);
+		return this;
+	};
+	/**
+	 * Same as tap, but returns a subscription that removes the added taps
+	 * @param {function|Array...} taps the tap functions
+	 * @param {Object} options optional tap options, of the form {priority, namespace}
+	 * @method subscribe
+	 * @return {Subscription}
+	 */
+	Hook.prototype.subscribe = function() {
+		return this._checkTap(arguments).subscribe.apply(this._taps, arguments);
+	};
+	/**
+	 * Removes taps by a label selector, see {{#crossLink "CallbackList/off:method"}}{{/crossLink}}
+	 * @param {String} selector the label selector (optional)
+	 * @param {function} fn only remove taps of this function (optional)
+	 * @method off
+	 * @return {Hook} this
+	 */
+	Hook.prototype.off = function(selector, fn) {
+		this._taps.off(selector, fn);
+		return this;
+	};
+	/**
+	 * Returns true if this hook has any taps
+	 * @method isUsed
+	 * @return {boolean}
+	 */
+	Hook.prototype.isUsed = function() {
+		return this._taps.has();
+	};
+	/**
+	 * Returns the tap functions, by the order they should be called
+	 * @method _tapFunctions
+	 * @return {Array}
+	 * @private
+	 */
+	Hook.prototype._tapFunctions = function() {
+		var fns = [];
+		toolous.forEach(this._taps.listeners(), function(listener) {
+			fns.push(listener.fn);
+		});
+		return fns;
+	};
+
+	/**
+	 * Creates a hook class extending Hook with the given call method
+	 * @param {String} name the call method's name
+	 * @param {function} call the call method
+	 * @return {function} the hook's constructor
+	 * @method createHookClass
+	 * @private
+	 */
+	function createHookClass(name, call) {
+		function HookClass(options) {
+			Hook.call(this, options);
+		}
+		HookClass.prototype = Object.create(Hook.prototype);
+		HookClass.prototype.constructor = HookClass;
+		HookClass.prototype[name] = call;
+		return HookClass;
+	}
+
+	/**
+	 * Returns a promise for the given tap result: observables are passed as is, thenables (e.g. native promises) are adapted
+	 * and any other value is treated as an immediately resolved value.
+	 * @param {any} value the tap result
+	 * @return {Promise}
+	 * @method toPromise
+	 * @private
+	 */
+	function toPromise(value) {
+		if (Deferred.isObservable(value)) {
+			return value.promise();
+		}
+		var deferred = new Deferred();
+		if (value !== null && toolous.isDef(value) && toolous.isFunction(value.then)) {
+			value.then(function(result) {
+				deferred.resolve(result);
+			}, function(error) {
+				deferred.reject(error);
+			});
+		} else {
+			deferred.resolve(value);
+		}
+		return deferred.promise();
+	}
+
+	/**
+	 * A synchronous hook that calls its taps by order until one returns a value other than undefined
+	 * @param {Object} options optional hook options, see {{#crossLink "Hook"}}{{/crossLink}}
+	 * @class SyncBailHook
+	 * @extends Hook
+	 * @constructor
+	 */
+	/**
+	 * Calls the taps with the given arguments, stopping at the first tap that returns a value other than undefined.
+	 * @param {any...} args the arguments to call the taps with
+	 * @method call
+	 * @return {any} the first value returned by a tap, undefined if none did
+	 */
+	var SyncBailHook = createHookClass("call", function() {
+		var taps = this._tapFunctions(), result;
+		for (var i = 0; i < taps.length; ++i) {
+			result = taps[i].apply(undefined, arguments);
+			if (toolous.isDef(result)) {
+				return result;
+			}
+		}
+	});
+
+	/**
+	 * A synchronous hook that passes each tap's return value to the next tap
+	 * @param {Object} options optional hook options, see {{#crossLink "Hook"}}{{/crossLink}}
+	 * @class SyncWaterfallHook
+	 * @extends Hook
+	 * @constructor
+	 */
+	/**
+	 * Calls the taps by order, each with the value returned by the previous tap (taps returning undefined keep the value as is)
+	 * and the rest of the given arguments.
+	 * @param {any} value the value to give the first tap
+	 * @param {any...} args the rest of the arguments to call the taps with
+	 * @method call
+	 * @return {any} the value returned by the last tap
+	 */
+	var SyncWaterfallHook = createHookClass("call", function(value) {
+		var taps = this._tapFunctions(), args = toolous.toArray(arguments), result;
+		for (var i = 0; i < taps.length; ++i) {
+			result = taps[i].apply(undefined, args);
+			if (toolous.isDef(result)) {
+				args[0] = result;
+			}
+		}
+		return args[0];
+	});
+
+	/**
+	 * An asynchronous hook that calls its taps one after the other, each tap may return a Deferred, Promise or thenable to wait for.
+	 * @param {Object} options optional hook options, see {{#crossLink "Hook"}}{{/crossLink}}
+	 * @class AsyncSeriesHook
+	 * @extends Hook
+	 * @constructor
+	 */
+	/**
+	 * Calls the taps by order with the given arguments, calling each tap once the value returned by the previous one is resolved.
+	 * @param {any...} args the arguments to call the taps with
+	 * @method promise
+	 * @return {Promise} resolved once all taps are done, rejected by the first tap that throws or rejects
+	 */
+	var AsyncSeriesHook = createHookClass("promise", function() {
+		var taps = this._tapFunctions(), args = arguments, result = new Deferred(), i = 0;
+		function next() {
+			if (i >= taps.length) {
+				result.resolve();
+				return;
+			}
+			var tapResult;
+			try {
+				tapResult = taps[i++].apply(undefined, args);
+			} catch (e) {
+				result.reject(e);
+				return;
+			}
+			toPromise(tapResult).done(next).fail(function() {
+				result.reject.apply(result, arguments);
+			});
+		}
+		next();
+		return result.promise();
+	});
+
+	/**
+	 * An asynchronous hook that calls all of its taps at once, each tap may return a Deferred, Promise or thenable to wait for.
+	 * @param {Object} options optional hook options, see {{#crossLink "Hook"}}{{/crossLink}}
+	 * @class AsyncParallelHook
+	 * @extends Hook
+	 * @constructor
+	 */
+	/**
+	 * Calls all taps with the given arguments.
+	 * @param {any...} args the arguments to call the taps with
+	 * @method promise
+	 * @return {Promise} resolved once all taps are done, rejected by the first tap that throws or rejects
+	 */
+	var AsyncParallelHook = createHookClass("promise", function() {
+		var args = arguments, result = new Deferred(), promises = [];
+		try {
+			toolous.forEach(this._tapFunctions(), function(tap) {
+				promises.push(toPromise(tap.apply(undefined, args)));
+			});
+		} catch (e) {
+			return result.reject(e).promise();
+		}
+		//Always given at least two observables, as when treats a single argument differently
+		exports.when.apply(exports, promises.concat([toPromise(), toPromise()])).done(function() {
+			result.resolve();
+		}).fail(function() {
+			result.reject.apply(result, arguments);
+		});
+		return result.promise();
+	});
+	//============================== END Hooks ===============================
+
 	exports.Deferred = Deferred;
+	exports.Callbacks = Callbacks;
+	exports.CallbackList = CallbackList;
+	exports.FSM = FSM;
+	exports.SyncBailHook = SyncBailHook;
+	exports.SyncWaterfallHook = SyncWaterfallHook;
+	exports.AsyncSeriesHook = AsyncSeriesHook;
+	exports.AsyncParallelHook = AsyncParallelHook;
 
 })( typeof exports === 'undefined' ? this.deferred = {} : exports, this);
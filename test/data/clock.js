@@ -0,0 +1,51 @@
+/**
+ * A manually driven clock, of the form expected by the clock options of deferred.js.
+ * Time only moves with tick(ms), which runs any timers that are due by order.
+ */
+function createTestClock() {
+	var timers = [],
+		lastId = 0,
+		clock = {
+			time: 0
+		};
+
+	clock.now = function() {
+		return clock.time;
+	};
+	clock.setTimeout = function( fn, ms ) {
+		timers.push({
+			id: ++lastId,
+			at: clock.time + ( ms || 0 ),
+			fn: fn
+		});
+		return lastId;
+	};
+	clock.clearTimeout = function( id ) {
+		for ( var i = 0; i < timers.length; i++ ) {
+			if ( timers[ i ].id === id ) {
+				timers.splice( i, 1 );
+				return;
+			}
+		}
+	};
+	clock.tick = function( ms ) {
+		var end = clock.time + ms,
+			next, i;
+		for ( ;; ) {
+			next = null;
+			for ( i = 0; i < timers.length; i++ ) {
+				if ( timers[ i ].at <= end && ( !next || timers[ i ].at < next.at ) ) {
+					next = timers[ i ];
+				}
+			}
+			if ( !next ) {
+				break;
+			}
+			clock.clearTimeout( next.id );
+			clock.time = next.at;
+			next.fn();
+		}
+		clock.time = end;
+	};
+	return clock;
+}
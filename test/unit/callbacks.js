@@ -340,3 +340,589 @@ test( "jQuery.Callbacks() - adding a string doesn't cause a stack overflow", fun
 
 	ok( true, "no stack overflow" );
 });
+
+test( "jQuery.Callbacks.lock - memory lists keep replaying", function() {
+
+	expect( 6 );
+
+	var output = "",
+		cb = jQuery.Callbacks("memory"),
+		add = function( str ) {
+			output += str;
+		};
+
+	cb.add( add ).fire("A").lock();
+	strictEqual( cb.locked(), true, "list is locked" );
+	strictEqual( cb.disabled(), false, "a list with memory is not disabled by locking it" );
+	cb.fire("B");
+	strictEqual( output, "A", "firing a locked list has no effect" );
+	cb.add( add );
+	strictEqual( output, "AA", "new listeners get the remembered value" );
+
+	cb = jQuery.Callbacks();
+	cb.lock();
+	strictEqual( cb.disabled(), true, "a list without memory is disabled by locking it" );
+	cb.add( add ).fire("C");
+	strictEqual( output, "AA", "a disabled list doesn't fire" );
+});
+
+test( "jQuery.Callbacks.fire - re-entrant firing is queued", function() {
+
+	expect( 3 );
+
+	var output = "",
+		cb = jQuery.Callbacks(),
+		removed = function() {
+			output += "!";
+		};
+
+	cb.add(function( str ) {
+		output += str;
+		if ( str === "A" ) {
+			cb.fire("B");
+			cb.remove( removed );
+			cb.add(function( str ) {
+				output += str.toLowerCase();
+			});
+		}
+	}, removed );
+	cb.fire("A");
+	strictEqual( output, "AaBb", "nested fire runs after the current one, with listeners added while firing" );
+
+	output = "";
+	cb = jQuery.Callbacks("memory");
+	cb.add(function( str ) {
+		cb.add(function( str ) {
+			output += str.toLowerCase();
+		});
+		output += str;
+	});
+	cb.fire("A");
+	strictEqual( output, "Aa", "listener added while firing a memory list is called exactly once" );
+	cb.fire("B");
+	strictEqual( output, "AaBbb", "both listeners are called on the next fire" );
+});
+
+test( "jQuery.Callbacks.add - priority", function() {
+
+	expect( 4 );
+
+	var output = "",
+		cb = jQuery.Callbacks("memory"),
+		add = function( str ) {
+			return function() {
+				output += str;
+			};
+		},
+		addedB = add("B");
+
+	cb.add( add("A") );
+	cb.add( add("B"), { priority: 10 } );
+	cb.add( add("C"), add("D"), { priority: 10 } );
+	cb.add( add("E"), { priority: -1 } );
+	cb.fire();
+	strictEqual( output, "BCDAE", "higher priority first, same priority by order of addition" );
+
+	output = "";
+	cb.add( add("F"), { priority: 20 } );
+	strictEqual( output, "F", "memory is replayed only to the added listener" );
+
+	output = "";
+	cb = jQuery.Callbacks();
+	cb.add(function() {
+		output += "A";
+		if ( !cb.has( addedB ) ) {
+			cb.add( addedB, { priority: 1 } );
+		}
+	}, add("C") );
+	cb.fire();
+	strictEqual( output, "ACB", "higher priority listener added while firing is called once the fire is done" );
+	output = "";
+	cb.fire();
+	strictEqual( output, "BAC", "and by its priority on the next fire" );
+});
+
+test( "jQuery.Callbacks - isolateErrors", function() {
+
+	expect( 9 );
+
+	var output = "",
+		error = new Error("listener error"),
+		thrower = function() {
+			throw error;
+		},
+		cb = jQuery.Callbacks({
+			isolateErrors: true,
+			onError: function( e, listener, context, args ) {
+				strictEqual( e, error, "the error is reported" );
+				strictEqual( listener, thrower, "with the listener" );
+				strictEqual( context, cb, "the context" );
+				deepEqual( args, [ "A" ], "and the arguments" );
+			}
+		});
+
+	cb.add( thrower, function( str ) {
+		output += str;
+	});
+	cb.fire("A");
+	strictEqual( output, "A", "listeners after the throwing one are called" );
+
+	cb = jQuery.Callbacks();
+	cb.add( thrower );
+	raises(function() {
+		cb.fire();
+	}, "errors are thrown when not isolated" );
+	cb.empty().add(function( str ) {
+		output += str;
+	}).fire("B");
+	strictEqual( output, "AB", "the list can fire again after a listener threw" );
+
+	output = "";
+	cb = jQuery.Callbacks();
+	cb.add(function( str ) {
+		output += str;
+		if ( str === "A" ) {
+			cb.fire("B");
+			throw error;
+		}
+	});
+	raises(function() {
+		cb.fire("A");
+	}, "thrown after queuing a fire" );
+	cb.fire("C");
+	strictEqual( output, "AC", "fires queued by the aborted fire are dropped" );
+});
+
+test( "jQuery.Callbacks - listener errors with a scheduler", function() {
+
+	expect( 4 );
+
+	var output = "",
+		tasks = [],
+		error = new Error("listener error"),
+		cb = jQuery.Callbacks({
+			scheduler: function( task ) {
+				tasks.push( task );
+			}
+		});
+
+	cb.add(function( str ) {
+		output += str;
+		if ( str === "A" ) {
+			cb.fire("N");
+			throw error;
+		}
+	});
+	cb.fire("A").fire("B");
+	raises(function() {
+		tasks.shift()();
+	}, "thrown by the scheduled task" );
+	strictEqual( output, "A", "the fire made before the task ran is not called yet" );
+	strictEqual( tasks.length, 1, "it is scheduled again" );
+	tasks.shift()();
+	strictEqual( output, "AB", "fires made before the task ran are kept, fires queued by the aborted fire are dropped" );
+});
+
+test( "jQuery.Callbacks - scheduler", function() {
+
+	expect( 5 );
+
+	var output = "",
+		tasks = [],
+		cb = jQuery.Callbacks({
+			memory: true,
+			scheduler: function( task ) {
+				tasks.push( task );
+			}
+		}),
+		add = function( str ) {
+			output += str;
+		};
+
+	cb.add( add ).fire("A");
+	strictEqual( output, "", "listeners are not called until the scheduler runs the task" );
+	strictEqual( tasks.length, 1, "a single task is scheduled" );
+	tasks.shift()();
+	strictEqual( output, "A", "listeners are called by the task" );
+
+	cb.add( add );
+	strictEqual( output, "A", "memory is replayed by the scheduler too" );
+	tasks.shift()();
+	strictEqual( output, "AA", "memory replayed" );
+});
+
+test( "jQuery.Callbacks - named schedulers", function() {
+
+	expect( 3 );
+
+	var output = "",
+		cb = jQuery.Callbacks({
+			scheduler: "macrotask"
+		});
+
+	stop();
+	cb.add(function( str ) {
+		output += str;
+	}).fire("A");
+	strictEqual( output, "", "listeners are called asynchronously" );
+	setTimeout(function() {
+		strictEqual( output, "A", "listeners were called" );
+		start();
+	}, 10 );
+
+	raises(function() {
+		jQuery.Callbacks({
+			scheduler: "unknown"
+		});
+	}, "unknown schedulers throw on construction" );
+});
+
+test( "jQuery.Callbacks - lock with a scheduled fire", function() {
+
+	expect( 6 );
+
+	var output = "",
+		cb = jQuery.Callbacks({
+			memory: true,
+			scheduler: "microtask"
+		}),
+		add = function( str ) {
+			output += str;
+		};
+
+	stop();
+	cb.add( add ).fire("x").lock();
+	cb.fire("y");
+	strictEqual( output, "", "not called yet" );
+	setTimeout(function() {
+		strictEqual( output, "x", "the fire scheduled before locking took place" );
+		ok( cb.locked() && !cb.disabled(), "locked, not disabled" );
+		cb.add( add );
+		cb.fire("z");
+		setTimeout(function() {
+			strictEqual( output, "xx", "the fire is remembered, no fires after locking" );
+			deepEqual( cb.lastFired().args, [ "x" ], "last fire" );
+			start();
+		}, 10 );
+	}, 10 );
+
+	var tasks = [],
+		lockOutput = "",
+		locking = jQuery.Callbacks({
+			scheduler: function( task ) {
+				tasks.push( task );
+			}
+		});
+	locking.add(function( str ) {
+		lockOutput += str;
+		if ( str === "A" ) {
+			locking.fire("N").lock();
+		}
+	});
+	locking.fire("A").fire("B");
+	tasks.shift()();
+	strictEqual( lockOutput, "AB", "locking from a listener keeps the fires made before the task ran" );
+});
+
+test( "jQuery.Callbacks.subscribe", function() {
+
+	expect( 4 );
+
+	var output = "",
+		cb = jQuery.Callbacks(),
+		add = function( str ) {
+			output += str;
+		},
+		subscription = cb.subscribe( add );
+
+	cb.add( add );
+	cb.fire("A");
+	strictEqual( output, "AA", "both listeners called" );
+	subscription.unsubscribe();
+	cb.fire("B");
+	strictEqual( output, "AAB", "only the subscribed listener is removed" );
+	strictEqual( subscription.closed, true, "subscription is closed" );
+	subscription.unsubscribe();
+	cb.fire("C");
+	strictEqual( output, "AABC", "unsubscribing again has no effect" );
+});
+
+test( "jQuery.Callbacks.off - namespaces", function() {
+
+	expect( 4 );
+
+	var output = "",
+		cb = jQuery.Callbacks(),
+		add = function( str ) {
+			return function() {
+				output += str;
+			};
+		},
+		addC = add("C");
+
+	cb.add( "uploader.ui", add("A") );
+	cb.add( add("B"), { namespace: "uploader.net" } );
+	cb.add( "progress.ui.bar", addC, add("D") );
+	cb.add( add("E") );
+
+	cb.off(".ui.bar", addC );
+	cb.fire();
+	strictEqual( output, "ABDE", "only the given callback is removed" );
+
+	output = "";
+	cb.off(".ui");
+	cb.fire();
+	strictEqual( output, "BE", "listeners removed by namespace" );
+
+	output = "";
+	cb.off("uploader");
+	cb.fire();
+	strictEqual( output, "E", "listeners removed by name" );
+
+	output = "";
+	cb.off();
+	cb.fire();
+	strictEqual( output, "", "all listeners removed" );
+});
+
+test( "jQuery.Callbacks.addOnce / addTimes", function() {
+
+	expect( 5 );
+
+	var output = "",
+		cb = jQuery.Callbacks("memory"),
+		add = function( str ) {
+			output += str;
+		};
+
+	cb.addOnce( add );
+	cb.addTimes( 2, function( str ) {
+		output += str.toLowerCase();
+	});
+	cb.fire("A").fire("B").fire("C");
+	strictEqual( output, "Aab", "listeners are removed once called enough times" );
+	strictEqual( cb.has(), false, "no listeners left" );
+
+	output = "";
+	cb.addOnce( add, { priority: 1 } );
+	strictEqual( output, "C", "memory replay counts as a call" );
+	strictEqual( cb.has( add ), false, "listener removed after the replay" );
+
+	raises(function() {
+		cb.addTimes( 0, add );
+	}, "times must be positive" );
+});
+
+test( "jQuery.Callbacks - replay", function() {
+
+	expect( 4 );
+
+	var output = "",
+		cb = jQuery.Callbacks({
+			replay: 2
+		}),
+		add = function( str ) {
+			output += this.name + str;
+		};
+
+	cb.fireWith( { name: "a" }, [ "1" ] ).fireWith( { name: "b" }, [ "2" ] ).fireWith( { name: "c" }, [ "3" ] );
+	cb.add( add );
+	strictEqual( output, "b2c3", "last fires are replayed in order with their contexts" );
+
+	output = "";
+	cb.fireWith( { name: "d" }, [ "4" ] );
+	strictEqual( output, "d4", "replays are not remembered as fires" );
+	output = "";
+	cb.add(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "34", "the buffer moves on" );
+
+	output = "";
+	cb = jQuery.Callbacks({
+		replay: Infinity
+	});
+	cb.fire("A").fire("B").fire("C").add(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "ABC", "Infinity keeps all fires" );
+});
+
+test( "jQuery.Callbacks - throttle", function() {
+
+	expect( 4 );
+
+	var output = "",
+		clock = createTestClock(),
+		cb = jQuery.Callbacks({
+			throttle: 100,
+			clock: clock
+		});
+
+	cb.add(function( str ) {
+		output += str;
+	});
+	cb.fire("A").fire("B").fire("C");
+	strictEqual( output, "A", "leading edge fires immediately" );
+	clock.tick( 100 );
+	strictEqual( output, "AC", "trailing edge fires the last value" );
+	clock.tick( 50 );
+	cb.fire("D");
+	strictEqual( output, "AC", "still waiting" );
+	clock.tick( 50 );
+	strictEqual( output, "ACD", "fired once the wait is over" );
+});
+
+test( "jQuery.Callbacks - debounce", function() {
+
+	expect( 4 );
+
+	var output = "",
+		clock = createTestClock(),
+		cb = jQuery.Callbacks({
+			debounce: 100,
+			maxWait: 250,
+			clock: clock
+		});
+
+	cb.add(function( str ) {
+		output += str;
+	});
+	cb.fire("A");
+	clock.tick( 60 );
+	cb.fire("B");
+	clock.tick( 60 );
+	strictEqual( output, "", "nothing fired while calls keep coming" );
+	clock.tick( 40 );
+	strictEqual( output, "B", "last value fired once calls stopped" );
+
+	output = "";
+	for ( var i = 0; i < 6; i++ ) {
+		cb.fire( String( i ) );
+		clock.tick( 50 );
+	}
+	strictEqual( output, "4", "maxWait fires while calls keep coming" );
+	cb.lock();
+	clock.tick( 500 );
+	strictEqual( output, "4", "locking drops the pending fire" );
+});
+
+test( "jQuery.Callbacks.add - throttled listener", function() {
+
+	expect( 3 );
+
+	var output = "",
+		clock = createTestClock(),
+		cb = jQuery.Callbacks({
+			clock: clock
+		}),
+		add = function( str ) {
+			output += str;
+		};
+
+	cb.add( add, {
+		throttle: 100,
+		leading: false
+	});
+	cb.add(function( str ) {
+		output += str.toLowerCase();
+	});
+	cb.fire("A").fire("B");
+	strictEqual( output, "ab", "other listeners are not limited" );
+	clock.tick( 100 );
+	strictEqual( output, "abB", "throttled listener called on the trailing edge" );
+	cb.fire("C");
+	cb.remove( add );
+	clock.tick( 100 );
+	strictEqual( output, "abBc", "removed listener is not called" );
+});
+
+test( "jQuery.Callbacks - introspection", function() {
+
+	expect( 9 );
+
+	var context = {},
+		cb = jQuery.Callbacks("memory"),
+		fn = function() {},
+		listeners;
+
+	strictEqual( cb.fired(), false, "not fired" );
+	strictEqual( cb.lastFired(), undefined, "no last fire" );
+	cb.add( fn );
+	cb.add( "uploader.ui", fn, { priority: 5, times: 3 } );
+	strictEqual( cb.size(), 2, "size counts listeners" );
+
+	listeners = cb.listeners();
+	deepEqual( [ listeners[ 0 ].priority, listeners[ 0 ].name, listeners[ 0 ].namespaces, listeners[ 0 ].remaining ],
+		[ 5, "uploader", [ "ui" ], 3 ], "listener metadata, by calling order" );
+	strictEqual( listeners[ 1 ].fn, fn, "listener function" );
+
+	cb.fireWith( context, [ "A" ] ).fire("B");
+	cb.add( fn );
+	strictEqual( cb.fireCount(), 2, "replays are not counted" );
+	strictEqual( cb.lastFired().args[ 0 ], "B", "last fired arguments" );
+	strictEqual( cb.lastFired().context, cb, "last fired context" );
+	strictEqual( cb.listeners()[ 0 ].remaining, 1, "remaining calls" );
+});
+
+test( "jQuery.Callbacks.fired - scheduled fires", function() {
+
+	expect( 3 );
+
+	var cb = jQuery.Callbacks({
+			scheduler: "macrotask"
+		});
+
+	stop();
+	cb.fire("A");
+	strictEqual( cb.fired(), true, "fired as soon as the fire is accepted" );
+	strictEqual( cb.fireCount(), 0, "the fire has yet to run" );
+	setTimeout(function() {
+		strictEqual( cb.fireCount(), 1, "the fire ran" );
+		start();
+	}, 10 );
+});
+
+test( "jQuery.Callbacks.iterator", function() {
+
+	expect( 6 );
+
+	var cb = jQuery.Callbacks(),
+		iterator = cb.iterator({
+			bufferSize: 2
+		}),
+		values = [];
+
+	function collect( result ) {
+		values.push( result.done ? "done" : result.value.join("") );
+	}
+
+	iterator.next().done( collect );
+	cb.fire( "A", "B" );
+	deepEqual( values, [ "AB" ], "waiting next() gets the fire's arguments" );
+
+	cb.fire("C").fire("D").fire("E");
+	iterator.next().done( collect );
+	iterator.next().done( collect );
+	deepEqual( values, [ "AB", "D", "E" ], "oldest buffered fires are dropped" );
+
+	iterator.next().done( collect );
+	iterator["return"]().done( collect );
+	deepEqual( values, [ "AB", "D", "E", "done", "done" ], "returning ends the iteration" );
+	strictEqual( cb.has(), false, "iterator listener removed" );
+
+	iterator = cb.iterator({
+		bufferSize: 1,
+		overflow: "dropNewest"
+	});
+	values = [];
+	cb.fire("F").fire("G");
+	iterator.next().done( collect );
+	deepEqual( values, [ "F" ], "newest fires are dropped" );
+
+	raises(function() {
+		cb.iterator({
+			overflow: "unknown"
+		});
+	}, "invalid options throw" );
+});
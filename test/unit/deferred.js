@@ -312,6 +312,315 @@ test( "jQuery.Deferred.then - context", function() {
 	});
 });
 
+test( "jQuery.Deferred - listener priority", function() {
+
+	expect( 2 );
+
+	var output = "",
+		defer = jQuery.Deferred();
+
+	defer.done(function() {
+		output += "A";
+	}).done(function() {
+		output += "B";
+	}, { priority: 10 } ).always(function() {
+		output += "C";
+	}, { priority: 5 } );
+	defer.resolve();
+	strictEqual( output, "BCA", "listeners are called by priority" );
+
+	output = "";
+	defer.promise().done([function() {
+		output += "D";
+	}, function() {
+		output += "E";
+	}], { priority: 1 } );
+	strictEqual( output, "DE", "listener options are accepted through the promise" );
+});
+
+test( "jQuery.Deferred - isolated listener errors", function() {
+
+	expect( 3 );
+
+	var defaults = jQuery.CallbackList.defaults,
+		isolateErrors = defaults.isolateErrors,
+		onError = defaults.onError,
+		defer = jQuery.Deferred();
+
+	defaults.isolateErrors = true;
+	defaults.onError = function( error ) {
+		strictEqual( error.message, "done error", "error reported to the global hook" );
+	};
+	defer.done(function() {
+		throw new Error("done error");
+	}, function() {
+		ok( true, "next listener called" );
+	});
+	defer.resolve();
+	defaults.isolateErrors = isolateErrors;
+	defaults.onError = onError;
+
+	defer.done(function() {
+		ok( true, "the resolved deferred still calls new listeners" );
+	});
+});
+
+test( "jQuery.Deferred - scheduler", function() {
+
+	expect( 4 );
+
+	var tasks = [],
+		output = "",
+		defer = jQuery.Deferred( undefined, {
+			scheduler: function( task ) {
+				tasks.push( task );
+			}
+		});
+
+	defer.resolve( "A" );
+	strictEqual( defer.state(), "resolved", "state changes immediately" );
+	defer.then(function( str ) {
+		return str + "B";
+	}).done(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "", "listeners of an already resolved deferred are not called synchronously" );
+	while ( tasks.length ) {
+		tasks.shift()();
+	}
+	strictEqual( output, "AB", "listeners called by the scheduler" );
+
+	defer = jQuery.Deferred().resolve("C");
+	defer.done(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "ABC", "deferreds are synchronous by default" );
+});
+
+test( "jQuery.Deferred - unknown scheduler", function() {
+
+	expect( 3 );
+
+	raises(function() {
+		jQuery.Deferred( undefined, {
+			scheduler: "microtsk"
+		});
+	}, "deferreds throw on construction" );
+	raises(function() {
+		new jQuery.FSM({
+			scheduler: "bogus"
+		});
+	}, "state machines throw on construction" );
+	raises(function() {
+		new jQuery.FSM({
+			stateOptions: {
+				running: { scheduler: "bogus" }
+			}
+		});
+	}, "per state schedulers are checked too" );
+});
+
+test( "jQuery.Deferred.subscribe", function() {
+
+	expect( 3 );
+
+	var output = "",
+		defer = jQuery.Deferred(),
+		subscription = defer.promise().subscribe({
+			progress: function( str ) {
+				output += str;
+			},
+			done: function() {
+				ok( false, "unsubscribed done listener called" );
+			}
+		});
+
+	defer.notify("A");
+	strictEqual( output, "A", "progress listener called" );
+	subscription.unsubscribe();
+	defer.notify("B");
+	strictEqual( output, "A", "progress listener removed" );
+	defer.resolve();
+	strictEqual( defer.state(), "resolved", "done listener removed" );
+});
+
+test( "jQuery.Deferred.off - namespaces", function() {
+
+	expect( 2 );
+
+	var output = "",
+		defer = jQuery.Deferred();
+
+	defer.progress( "uploader.ui", function( str ) {
+		output += str;
+	}).done( "uploader.ui", function() {
+		ok( false, "removed done listener called" );
+	}).progress(function( str ) {
+		output += str.toLowerCase();
+	});
+
+	defer.notify("A");
+	strictEqual( output, "Aa", "labeled listener called" );
+	defer.promise().off(".ui");
+	defer.notify("B").resolve();
+	strictEqual( output, "Aab", "labeled listeners of all states removed" );
+});
+
+test( "jQuery.Deferred.progress - times", function() {
+
+	expect( 1 );
+
+	var output = "",
+		defer = jQuery.Deferred();
+
+	defer.progress(function( str ) {
+		output += str;
+	}, { times: 1 } ).progress(function( str ) {
+		output += str.toLowerCase();
+	}, { times: 2 } );
+
+	defer.notify("A").notify("B").notify("C");
+	strictEqual( output, "Aab", "progress listeners are limited" );
+});
+
+test( "jQuery.Deferred - progressReplay", function() {
+
+	expect( 2 );
+
+	var output = "",
+		defer = jQuery.Deferred( undefined, {
+			progressReplay: Infinity
+		});
+
+	defer.notify("A").notify("B").progress(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "AB", "late progress listener gets all notifications" );
+	defer.resolve("C").done(function( str ) {
+		output += str;
+	});
+	strictEqual( output, "ABC", "done is unaffected" );
+});
+
+test( "jQuery.Deferred.progress - throttle", function() {
+
+	expect( 2 );
+
+	var values = [],
+		clock = createTestClock(),
+		defer = jQuery.Deferred();
+
+	defer.progress(function( value ) {
+		values.push( value );
+	}, {
+		throttle: 100,
+		clock: clock
+	});
+	for ( var i = 0; i < 1000; i++ ) {
+		defer.notify( i );
+		clock.tick( 1 );
+	}
+	deepEqual( values, [ 0, 99, 199, 299, 399, 499, 599, 699, 799, 899, 999 ], "progress throttled, with the latest value" );
+	defer.notify( 1000 );
+	clock.tick( 100 );
+	strictEqual( values[ values.length - 1 ], 1000, "value after a quiet period delivered" );
+});
+
+test( "jQuery.Deferred.progress - rate limited progress before completion", function() {
+
+	expect( 2 );
+
+	var output = [],
+		clock = createTestClock(),
+		defer = jQuery.Deferred();
+
+	defer.progress(function( value ) {
+		output.push( "progress " + value + " " + defer.state() );
+	}, {
+		throttle: 100,
+		clock: clock
+	}).progress(function( value ) {
+		output.push( "debounced " + value );
+	}, {
+		debounce: 50,
+		clock: clock
+	}).done(function() {
+		output.push("done");
+	});
+	defer.notify( 1 ).notify( 2 ).notify( 3 ).resolve();
+	clock.tick( 200 );
+	deepEqual( output, [ "progress 1 pending", "progress 3 pending", "debounced 3", "done" ], "pending calls are made before the done listeners" );
+
+	output = [];
+	defer = jQuery.Deferred();
+	defer.progress(function( value ) {
+		output.push( "progress " + value );
+	}, {
+		throttle: 100,
+		trailing: false,
+		clock: clock
+	}).fail(function() {
+		output.push("fail");
+	});
+	defer.notify( 1 ).notify( 2 ).reject();
+	clock.tick( 200 );
+	deepEqual( output, [ "progress 1", "fail" ], "without trailing calls there is nothing to make" );
+});
+
+test( "jQuery.Deferred.progressIterator", function() {
+
+	expect( 4 );
+
+	var values = [],
+		defer = jQuery.Deferred().notify("A"),
+		iterator = defer.promise().progressIterator();
+
+	function collect( result ) {
+		values.push( result.done ? "done" : result.value[ 0 ] );
+	}
+
+	defer.notify("B").resolve();
+	iterator.next().done( collect );
+	iterator.next().done( collect );
+	iterator.next().done( collect );
+	deepEqual( values, [ "A", "B", "done" ], "remembered and buffered notifications, then done" );
+
+	values = [];
+	defer = jQuery.Deferred();
+	iterator = defer.progressIterator();
+	iterator.next().done( collect );
+	defer.notify("C").reject("error");
+	iterator.next().fail(function( error ) {
+		strictEqual( error, "error", "rejection is thrown" );
+	});
+	iterator.next().done( collect );
+	deepEqual( values, [ "C", "done" ], "done after the rejection" );
+
+	values = [];
+	jQuery.Deferred().notify("D").resolve().progressIterator().next().done( collect );
+	deepEqual( values, [ "D" ], "already resolved deferred still iterates its last notification" );
+});
+
+test( "jQuery.Deferred - size and fired", function() {
+
+	expect( 7 );
+
+	var defer = jQuery.Deferred(),
+		promise = defer.promise();
+
+	defer.done( jQuery.noop, jQuery.noop ).progress( jQuery.noop );
+	strictEqual( promise.size(), 3, "all listeners" );
+	strictEqual( promise.size("resolved"), 2, "done listeners" );
+	strictEqual( defer.size("rejected"), 0, "fail listeners" );
+	strictEqual( promise.fired(), false, "not fired" );
+
+	defer.notify( 1 );
+	ok( defer.fired() && defer.fired("pending"), "notified" );
+	defer.resolve();
+	ok( defer.fired("resolved") && !defer.fired("rejected"), "resolved" );
+	strictEqual( defer.size(), 1, "once listeners are removed after being called" );
+});
+
 test( "jQuery.when", function() {
 
 	expect( 34 );
@@ -0,0 +1,746 @@
+module( "fsm" );
+
+test( "jQuery.FSM - states", function() {
+
+	expect( 7 );
+
+	var fsm = new jQuery.FSM(),
+		custom = new jQuery.FSM({ state: 1 });
+
+	strictEqual( fsm.state(), "initial", "default initial state" );
+	strictEqual( custom.state(), "1", "initial state is a string" );
+	strictEqual( fsm.state("running"), "running", "changing returns the new state" );
+	strictEqual( fsm.state(), "running", "state is kept" );
+	strictEqual( fsm.state(undefined), "running", "undefined just gets the state" );
+
+	fsm = new jQuery.FSM({ finalState: true });
+	strictEqual( fsm.state("running"), false, "cannot change from a final state" );
+	strictEqual( fsm.state(), "initial", "state unchanged" );
+});
+
+test( "jQuery.FSM - listeners", function() {
+
+	expect( 6 );
+
+	var fsm = new jQuery.FSM(),
+		context = {},
+		calls = "";
+
+	strictEqual( fsm.on( "running", function( a, b ) {
+		strictEqual( this, context, "listener context" );
+		strictEqual( a + b, "ab", "listener arguments" );
+		calls += "R";
+	}), fsm, "on is chainable" );
+	fsm.on( "stopped", function() {
+		calls += "S";
+	});
+	fsm.state( "running", context, "a", "b" );
+	fsm.state( "stopped" );
+	fsm.state( "running", context, "a", "b" );
+	strictEqual( calls, "RS", "listeners are called once by default" );
+
+	fsm.on( "running", function( a ) {
+		strictEqual( a, "a", "memory - new listeners get the last change" );
+		calls += "r";
+	});
+	strictEqual( calls, "RSr", "memory listener called at once" );
+});
+
+test( "jQuery.FSM - size and fired", function() {
+
+	expect( 5 );
+
+	var fsm = new jQuery.FSM({ once: false });
+
+	fsm.on( "a", jQuery.noop ).on( "a", jQuery.noop ).on( "b.c", jQuery.noop );
+	strictEqual( fsm.size("a"), 2, "listeners of a state" );
+	strictEqual( fsm.size("b"), 0, "parent states don't count sub-states' listeners" );
+	strictEqual( fsm.fired("a"), false, "not changed into yet" );
+	fsm.state( "b.c" );
+	ok( fsm.fired("b") && fsm.fired("b.c"), "changed into the state and its parent" );
+	strictEqual( fsm.fired("unknown"), false, "unknown state" );
+});
+
+test( "jQuery.FSM - state options", function() {
+
+	expect( 6 );
+
+	var calls = "",
+		fsm = new jQuery.FSM({
+			memory: false,
+			stateOptions: {
+				running: { once: false },
+				done: { finalState: true, memory: true }
+			}
+		}),
+		legacy = new jQuery.FSM({
+			statesOptions: {
+				initial: { finalState: true }
+			}
+		});
+
+	fsm.on( "running", function() {
+		calls += "R";
+	});
+	fsm.state( "running" );
+	fsm.state( "paused" );
+	fsm.state( "running" );
+	strictEqual( calls, "RR", "once: false - listeners are kept" );
+	fsm.on( "running", function() {
+		calls += "!";
+	});
+	strictEqual( calls, "RR", "memory: false - no memory" );
+
+	strictEqual( fsm.state("done"), "done", "changed to the final state" );
+	strictEqual( fsm.state("running"), false, "per state finalState" );
+	fsm.on( "done", function() {
+		calls += "D";
+	});
+	strictEqual( calls, "RRD", "per state memory" );
+
+	strictEqual( legacy.state("other"), false, "statesOptions is accepted as well" );
+});
+
+test( "jQuery.FSM - subscribe and off", function() {
+
+	expect( 2 );
+
+	var calls = "",
+		fsm = new jQuery.FSM({ once: false, memory: false }),
+		subscription = fsm.subscribe( "a", function() {
+			calls += "S";
+		});
+
+	fsm.on( "a", "log.ui", function() {
+		calls += "U";
+	});
+	fsm.on( "b", ".ui", function() {
+		calls += "B";
+	});
+	fsm.state( "a" );
+	subscription.unsubscribe();
+	fsm.off( ".ui" );
+	fsm.state( "b" );
+	fsm.state( "a" );
+	strictEqual( calls, "SU", "unsubscribed and removed by namespace" );
+	strictEqual( fsm.off(), fsm, "off is chainable" );
+});
+
+test( "jQuery.FSM - transitions", function() {
+
+	expect( 10 );
+
+	var calls = "",
+		transitions = {
+			idle: [ "loading" ],
+			loading: [ "idle", "failed" ]
+		},
+		fsm = new jQuery.FSM({
+			state: "idle",
+			transitions: transitions,
+			stateOptions: {
+				idle: { once: false }
+			}
+		}),
+		strict = new jQuery.FSM({
+			state: "idle",
+			transitions: transitions,
+			strict: true
+		});
+
+	fsm.on( "failed", function() {
+		calls += "F";
+	});
+	ok( fsm.can("loading"), "allowed transition" );
+	ok( !fsm.can("failed"), "disallowed transition" );
+	strictEqual( fsm.state("failed"), false, "disallowed change returns false" );
+	strictEqual( calls, "", "no listeners fired" );
+	strictEqual( fsm.state("loading"), "loading", "allowed change" );
+	strictEqual( fsm.state("failed"), "failed", "allowed change" );
+	strictEqual( calls, "F", "listeners fired" );
+	ok( !fsm.can("idle"), "states without an entry cannot change" );
+
+	raises(function() {
+		strict.state( "failed" );
+	}, "strict FSM throws on disallowed changes" );
+	strictEqual( strict.state(), "idle", "state unchanged" );
+});
+
+test( "jQuery.FSM - guards and hooks", function() {
+
+	expect( 8 );
+
+	var log = [],
+		context = {},
+		locked = true,
+		fsm = new jQuery.FSM({ state: "closed" }),
+		logger = function( name ) {
+			return function( from, to, ctx, args ) {
+				strictEqual( this, ctx, name + " context" );
+				log.push( name + ":" + from + ">" + to + ":" + args.join(",") );
+			};
+		};
+
+	fsm.beforeTransition(function( from, to ) {
+		return !( locked && to === "open" );
+	});
+	fsm.beforeTransition(function() {
+		log.push( "guard" );
+	});
+	fsm.onExit( "closed", logger("exit") );
+	fsm.onEnter( "open", logger("enter") );
+	fsm.afterTransition( logger("after") );
+	fsm.on( "open", function( arg ) {
+		log.push( "listener:" + arg );
+	});
+
+	strictEqual( fsm.state( "open", context, "a" ), false, "vetoed by a guard" );
+	deepEqual( log, [], "no hooks or guards after the veto" );
+
+	locked = false;
+	strictEqual( fsm.state( "open", context, "a" ), "open", "allowed by the guards" );
+	deepEqual( log, [ "guard", "exit:closed>open:a", "enter:closed>open:a", "listener:a", "after:closed>open:a" ],
+		"guards, exit, enter, listeners and after hooks" );
+
+	fsm.off();
+	log = [];
+	fsm.state( "closed" );
+	deepEqual( log, [], "off removes hooks as well" );
+});
+
+test( "jQuery.FSM - any transition and multiple states", function() {
+
+	expect( 5 );
+
+	var log = [],
+		context = {},
+		fsm = new jQuery.FSM({ state: "idle" }),
+		subscription;
+
+	fsm.on( "*", function( from, to, ctx, args ) {
+		strictEqual( ctx, context, "context given" );
+		log.push( from + ">" + to + ":" + args.join(",") );
+	});
+	subscription = fsm.subscribe( [ "done", "failed" ], function( arg ) {
+		log.push( "end:" + arg );
+	});
+	fsm.onTransition(function() {
+		log.push( "transition" );
+	});
+
+	fsm.state( "loading", context, "a" );
+	fsm.state( "failed", context, "b" );
+	deepEqual( log, [ "idle>loading:a", "transition", "end:b", "loading>failed:b", "transition" ],
+		"any transition and multiple states listeners" );
+
+	log = [];
+	subscription.unsubscribe();
+	fsm.off();
+	fsm.state( "done", context );
+	deepEqual( log, [], "removed" );
+
+	fsm.on( [ "a", "b" ], function() {
+		log.push( String(this) );
+	}, { times: 2 } );
+	fsm.state( "a", "A" );
+	fsm.state( "b", "B" );
+	deepEqual( log, [ "A", "B" ], "listener options apply to each state" );
+});
+
+test( "jQuery.FSM - changes requested while changing state", function() {
+
+	expect( 4 );
+
+	var log = [],
+		fsm = new jQuery.FSM({
+			state: "x",
+			once: false,
+			history: true,
+			stateOptions: {
+				b: { events: { go: "c" } }
+			}
+		});
+
+	fsm.on( "a", function() {
+		strictEqual( fsm.state("b"), "a", "queued, the current state is returned" );
+	});
+	fsm.onEnter( "b", function() {
+		fsm.send( "go" );
+	});
+	fsm.on( "*", function( from, to ) {
+		log.push( from + ">" + to + " state=" + fsm.state() );
+	});
+	fsm.afterTransition(function( from, to ) {
+		log.push( "after " + from + ">" + to );
+	});
+
+	strictEqual( fsm.state("a"), "c", "the queued changes were made" );
+	deepEqual( log, [ "x>a state=a", "after x>a", "a>b state=b", "after a>b", "b>c state=c", "after b>c" ],
+		"each change is done before the next one starts" );
+	log = [];
+	jQuery.each( fsm.history(), function( i, entry ) {
+		log.push( entry.from + ">" + entry.to );
+	});
+	deepEqual( log, [ "x>a", "a>b", "b>c" ], "recorded in order" );
+});
+
+test( "jQuery.FSM - history", function() {
+
+	expect( 13 );
+
+	var clock = createTestClock(),
+		step3Allowed = true,
+		fsm = new jQuery.FSM({
+			state: "step1",
+			once: false,
+			history: true,
+			clock: clock,
+			stateOptions: {
+				sent: { finalState: true }
+			}
+		}),
+		plain = new jQuery.FSM();
+
+	fsm.beforeTransition(function( from, to ) {
+		return to !== "step3" || step3Allowed;
+	});
+	strictEqual( fsm.previous(), undefined, "no previous state" );
+	strictEqual( fsm.back(), false, "nothing to go back to" );
+
+	fsm.state( "step2", "ctx", "a" );
+	clock.tick( 10 );
+	fsm.state( "step3" );
+	strictEqual( fsm.previous(), "step2", "previous state" );
+	deepEqual( fsm.history(), [
+		{ from: "step1", to: "step2", time: 0, context: "ctx", args: [ "a" ] },
+		{ from: "step2", to: "step3", time: 10, context: undefined, args: [] }
+	], "transitions recorded" );
+
+	strictEqual( fsm.back(), "step2", "went back" );
+	strictEqual( fsm.previous(), "step1", "previous state after going back" );
+	strictEqual( fsm.history().length, 1, "undone transition removed" );
+
+	fsm.state( "step3" );
+	fsm.state( "step4" );
+	step3Allowed = false;
+	strictEqual( fsm.undo(), false, "guards are respected" );
+	strictEqual( fsm.state(), "step4", "state unchanged" );
+
+	fsm.state( "sent" );
+	strictEqual( fsm.back(), false, "cannot go back from a final state" );
+	strictEqual( fsm.history().length, 4, "history kept" );
+
+	plain.state( "a" );
+	strictEqual( plain.previous(), "initial", "previous state without history" );
+	deepEqual( plain.history(), [], "no history by default" );
+});
+
+test( "jQuery.FSM - history limit", function() {
+
+	expect( 2 );
+
+	var fsm = new jQuery.FSM({ history: 2 });
+
+	fsm.state( "a" );
+	fsm.state( "b" );
+	fsm.state( "c" );
+	strictEqual( fsm.history().length, 2, "limited history" );
+	strictEqual( fsm.history()[ 0 ].to, "b", "oldest transitions dropped" );
+});
+
+test( "jQuery.FSM - nested states", function() {
+
+	expect( 9 );
+
+	var log = [],
+		logger = function( name ) {
+			return function( from, to ) {
+				log.push( name + ":" + from + ">" + to );
+			};
+		},
+		fsm = new jQuery.FSM({
+			state: "disconnected",
+			once: false,
+			transitions: {
+				disconnected: [ "connected" ],
+				connected: [ "disconnected", "connected", "connected.idle", "connected.busy" ]
+			},
+			stateOptions: {
+				closed: { finalState: true }
+			}
+		});
+
+	fsm.onEnter( "connected", logger("enter") );
+	fsm.onExit( "connected", logger("exit") );
+	fsm.onEnter( "connected.busy", logger("enterBusy") );
+	fsm.onExit( "connected.busy", logger("exitBusy") );
+	fsm.on( "connected", function( arg ) {
+		log.push( "connected:" + arg );
+	});
+
+	strictEqual( fsm.state( "connected.idle", null, "a" ), "connected.idle", "sub-states of allowed targets are allowed" );
+	ok( fsm.is("connected") && fsm.is("connected.idle") && !fsm.is("connected.i"), "in the state and its parent" );
+	fsm.state( "connected.busy", null, "b" );
+	fsm.state( "connected.idle", null, "c" );
+	deepEqual( log, [ "enter:disconnected>connected.idle", "connected:a",
+		"enterBusy:connected.idle>connected.busy", "connected:b",
+		"exitBusy:connected.busy>connected.idle", "connected:c" ], "parent entered once, parent listeners hear sub-states" );
+
+	log = [];
+	fsm.state( "connected" );
+	deepEqual( log, [ "exit:connected.idle>connected", "enter:connected.idle>connected", "connected:undefined" ],
+		"changing into the parent state re-enters it" );
+	ok( fsm.can("connected.busy"), "the parent state's targets are allowed" );
+	strictEqual( fsm.state("disconnected"), "disconnected", "left the parent state" );
+
+	fsm = new jQuery.FSM({
+		stateOptions: {
+			closed: { finalState: true, memory: false },
+			"closed.error": { memory: true }
+		}
+	});
+	fsm.state( "closed.error", null, "e" );
+	strictEqual( fsm.state("initial"), false, "finalState is inherited" );
+	fsm.on( "closed.error", function( arg ) {
+		strictEqual( arg, "e", "sub-state options override the parent's" );
+	});
+	fsm.on( "closed", function() {
+		ok( false, "parent state without memory" );
+	});
+	strictEqual( fsm.state(), "closed.error", "state unchanged" );
+});
+
+test( "jQuery.FSM - parallel regions", function() {
+
+	expect( 9 );
+
+	var log = [],
+		resolved = null,
+		fsm = new jQuery.FSM({
+			once: false,
+			regions: {
+				network: { state: "offline" },
+				auth: {
+					state: "guest",
+					transitions: {
+						guest: [ "user" ],
+						user: [ "guest" ]
+					}
+				}
+			}
+		});
+
+	deepEqual( fsm.states(), { network: "offline", auth: "guest" }, "combined state" );
+	fsm.region( "network" ).on( "online", function( arg ) {
+		log.push( "online:" + arg );
+	});
+	fsm.region( "auth" ).onTransition(function( from, to ) {
+		log.push( "auth:" + from + ">" + to );
+	});
+	fsm.waitFor({ network: "online", auth: "user" }).done(function( states ) {
+		resolved = states;
+	});
+
+	fsm.region( "network" ).state( "online", null, "a" );
+	strictEqual( resolved, null, "not all regions match" );
+	strictEqual( fsm.region( "auth" ).state( "admin" ), false, "region options" );
+	fsm.region( "auth" ).state( "user" );
+	deepEqual( resolved, { network: "online", auth: "user" }, "resolved once all regions match" );
+	deepEqual( log, [ "online:a", "auth:guest>user" ], "region-scoped listeners" );
+	ok( fsm.matches({ auth: "user" }) && !fsm.matches({ network: "offline", auth: "user" }), "matches" );
+
+	fsm.waitFor({ network: "online" }).done(function() {
+		ok( true, "resolved at once when already matching" );
+	});
+	strictEqual( fsm.state(), "initial", "the machine's own state is unaffected" );
+	raises(function() {
+		fsm.region( "unknown" );
+	}, "unknown region" );
+});
+
+test( "jQuery.FSM - timed states", function() {
+
+	expect( 8 );
+
+	var clock = createTestClock(),
+		log = [],
+		fsm = new jQuery.FSM({
+			state: "retrying",
+			once: false,
+			clock: clock,
+			stateOptions: {
+				retrying: { after: 100, goto: "connecting" },
+				session: { after: 1000, goto: "expired" }
+			}
+		});
+
+	fsm.on( "connecting", function() {
+		log.push( clock.now() );
+	});
+	clock.tick( 99 );
+	strictEqual( fsm.state(), "retrying", "timer not due yet" );
+	clock.tick( 1 );
+	strictEqual( fsm.state(), "connecting", "left the initial state when the timer expired" );
+	deepEqual( log, [ 100 ], "listeners called" );
+
+	fsm.state( "retrying" );
+	clock.tick( 50 );
+	fsm.state( "idle" );
+	clock.tick( 100 );
+	strictEqual( fsm.state(), "idle", "timer cancelled when the state is left early" );
+
+	fsm.state( "session.active" );
+	clock.tick( 500 );
+	fsm.state( "session.busy" );
+	strictEqual( fsm.state(), "session.busy", "sub-states don't inherit the timer" );
+	clock.tick( 500 );
+	strictEqual( fsm.state(), "expired", "parent state timer kept while in its sub-states" );
+
+	fsm.beforeTransition(function( from, to ) {
+		return to !== "connecting";
+	});
+	fsm.state( "retrying" );
+	clock.tick( 100 );
+	strictEqual( fsm.state(), "retrying", "guards apply to timed transitions" );
+	deepEqual( log, [ 100 ], "no more listener calls" );
+});
+
+test( "jQuery.FSM - events", function() {
+
+	expect( 14 );
+
+	var log = [],
+		fsm = new jQuery.FSM({
+			state: "editing",
+			once: false,
+			stateOptions: {
+				editing: {
+					events: {
+						SUBMIT: {
+							target: "form.submitting",
+							actions: [ function( data ) {
+								strictEqual( this, fsm, "actions context" );
+								log.push( "submit:" + data );
+							} ]
+						},
+						TYPE: {
+							actions: function( key ) {
+								log.push( "type:" + key );
+							}
+						}
+					}
+				},
+				form: {
+					events: {
+						CANCEL: "editing"
+					}
+				},
+				"form.submitting": {
+					events: {
+						DONE: "form.sent",
+						RESET: null
+					}
+				}
+			}
+		});
+
+	fsm.on( "form.submitting", function( data ) {
+		log.push( "listener:" + data );
+	});
+	fsm.onUnhandled(function( event, state, args ) {
+		log.push( "unhandled:" + event + ":" + state + ":" + args.join(",") );
+	});
+
+	strictEqual( fsm.send( "TYPE", "a" ), "editing", "handler without a target" );
+	strictEqual( fsm.send( "SUBMIT", "data" ), "form.submitting", "changed to the target" );
+	deepEqual( log, [ "type:a", "listener:data", "submit:data" ], "listeners, then actions" );
+
+	log = [];
+	strictEqual( fsm.send( "TYPE", "b" ), false, "unhandled event" );
+	deepEqual( log, [ "unhandled:TYPE:form.submitting:b" ], "reported to the unhandled hooks" );
+	strictEqual( fsm.send( "RESET" ), false, "null handlers are no handlers" );
+	deepEqual( log, [ "unhandled:TYPE:form.submitting:b", "unhandled:RESET:form.submitting:" ], "reported to the unhandled hooks too" );
+	strictEqual( fsm.send( "DONE" ), "form.sent", "handled by the state" );
+	strictEqual( fsm.send( "DONE" ), false, "handlers are not inherited by sub-states" );
+	strictEqual( fsm.send( "CANCEL" ), "editing", "handled by the parent state" );
+
+	fsm.beforeTransition(function() {
+		return false;
+	});
+	log = [];
+	strictEqual( fsm.send( "SUBMIT", "data" ), false, "vetoed change" );
+	deepEqual( log, [], "no actions called" );
+	strictEqual( fsm.send( "TYPE", "c" ), "editing", "actions without a change are not vetoed" );
+});
+
+test( "jQuery.FSM - hooks options", function() {
+
+	expect( 9 );
+
+	var log = [],
+		error = new Error("hook error"),
+		scheduler = jQuery.CallbackList.defaults.scheduler,
+		fsm, guarded;
+
+	jQuery.CallbackList.defaults.scheduler = "microtask";
+	try {
+		fsm = new jQuery.FSM({ once: false, scheduler: "sync" });
+		fsm.onEnter( "b", function( from, to ) {
+			log.push( "enter " + to + ", state=" + fsm.state() );
+		});
+		fsm.afterTransition(function( from, to ) {
+			log.push( "after " + to + ", state=" + fsm.state() );
+		});
+		fsm.state( "b" );
+		fsm.state( "c" );
+	} finally {
+		jQuery.CallbackList.defaults.scheduler = scheduler;
+	}
+	deepEqual( log, [ "enter b, state=b", "after b, state=b", "after c, state=c" ], "hooks are synchronous" );
+
+	guarded = new jQuery.FSM({ once: false });
+	guarded.beforeTransition(function( from, to ) {
+		return to !== "b";
+	}, { times: 1 } );
+	strictEqual( guarded.state("b"), false, "vetoed by the guard" );
+	strictEqual( guarded.state("b"), "b", "the guard is removed after its last call" );
+	raises(function() {
+		guarded.beforeTransition( jQuery.noop, { throttle: 10 } );
+	}, "guards cannot be rate limited" );
+
+	log = [];
+	fsm = new jQuery.FSM({
+		once: false,
+		isolateErrors: true,
+		onError: function( e ) {
+			strictEqual( e, error, "isolated hook error reported" );
+		}
+	});
+	fsm.onEnter( "b", function() {
+		throw error;
+	});
+	fsm.on( "b", function() {
+		log.push( "listener" );
+	});
+	fsm.afterTransition(function() {
+		log.push( "after" );
+	});
+	fsm.state( "b" );
+	deepEqual( log, [ "listener", "after" ], "isolated hook errors don't stop the change" );
+
+	log = [];
+	fsm = new jQuery.FSM({ once: false });
+	fsm.onEnter( "b", function() {
+		throw error;
+	});
+	fsm.on( "b", function() {
+		log.push( "listener" );
+	});
+	fsm.onTransition(function() {
+		log.push( "transition" );
+	});
+	fsm.afterTransition(function() {
+		log.push( "after" );
+	});
+	raises(function() {
+		fsm.state( "b" );
+	}, "hook errors are thrown" );
+	strictEqual( fsm.state(), "b", "changed" );
+	deepEqual( log, [ "listener", "transition", "after" ], "once the change is done" );
+});
+
+test( "jQuery.FSM - hooks and transition listeners have no memory", function() {
+
+	expect( 2 );
+
+	var log = [],
+		fsm = new jQuery.FSM({ once: false, replay: 2 });
+
+	fsm.afterTransition( jQuery.noop );
+	fsm.onEnter( "b", jQuery.noop );
+	fsm.onTransition( jQuery.noop );
+	fsm.state( "b" );
+	fsm.state( "c" );
+	fsm.state( "b" );
+	fsm.afterTransition(function( from, to ) {
+		log.push( "after " + to );
+	});
+	fsm.onEnter( "b", function( from, to ) {
+		log.push( "enter " + to );
+	});
+	deepEqual( log, [], "past transitions are not replayed to new hooks" );
+	fsm.onTransition(function( from, to ) {
+		log.push( from + ">" + to );
+	});
+	deepEqual( log, [], "nor to new transition listeners" );
+});
+
+test( "jQuery.FSM.waitFor - asynchronous default scheduler", function() {
+
+	expect( 1 );
+
+	var scheduler = jQuery.CallbackList.defaults.scheduler,
+		fsm, waiting;
+
+	stop();
+	jQuery.CallbackList.defaults.scheduler = "microtask";
+	try {
+		fsm = new jQuery.FSM({
+			regions: {
+				n: { state: "off" }
+			}
+		});
+		waiting = fsm.waitFor({ n: "on" });
+		fsm.region( "n" ).state( "on" );
+		fsm.region( "n" ).state( "off" );
+	} finally {
+		jQuery.CallbackList.defaults.scheduler = scheduler;
+	}
+	setTimeout(function() {
+		strictEqual( waiting.state(), "resolved", "the matching states are seen even if changed right away" );
+		start();
+	}, 10 );
+});
+
+test( "jQuery.FSM - timed states and transitions", function() {
+
+	expect( 4 );
+
+	var clock = createTestClock(),
+		fsm = new jQuery.FSM({
+			state: "a",
+			strict: true,
+			clock: clock,
+			transitions: {
+				a: [ "b" ],
+				b: [ "a" ]
+			},
+			stateOptions: {
+				a: { after: 10, goto: "b" }
+			}
+		});
+
+	raises(function() {
+		return new jQuery.FSM({
+			state: "a",
+			strict: true,
+			transitions: {
+				a: [ "b" ]
+			},
+			stateOptions: {
+				a: { after: 10, goto: "z" }
+			}
+		});
+	}, "disallowed timed transitions throw on construction" );
+
+	clock.tick( 10 );
+	strictEqual( fsm.state(), "b", "allowed timed transition" );
+
+	strictEqual( fsm.state( "a" ), "a", "back in the timed state" );
+	fsm.beforeTransition(function() {
+		return false;
+	}, { times: 1 } );
+	clock.tick( 10 );
+	clock.tick( 100 );
+	strictEqual( fsm.state(), "a", "vetoed timed transition, the state is kept with no timer" );
+});
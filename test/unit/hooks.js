@@ -0,0 +1,137 @@
+module( "hooks" );
+
+test( "jQuery.SyncBailHook", function() {
+
+	expect( 4 );
+
+	var hook = new jQuery.SyncBailHook(),
+		calls = "";
+
+	strictEqual( hook.call("A"), undefined, "no taps, no result" );
+	hook.tap(function( str ) {
+		calls += "1";
+	});
+	hook.tap(function( str ) {
+		calls += "2";
+		return str + "!";
+	});
+	hook.tap(function() {
+		ok( false, "tap after the bail is not called" );
+	});
+	strictEqual( hook.call("A"), "A!", "first non undefined result returned" );
+	strictEqual( calls, "12", "taps called until the bail" );
+
+	hook.tap(function() {
+		return null;
+	}, { priority: 10 } );
+	strictEqual( hook.call("B"), null, "higher priority taps are called first, null bails" );
+});
+
+test( "jQuery.SyncWaterfallHook", function() {
+
+	expect( 3 );
+
+	var hook = new jQuery.SyncWaterfallHook(),
+		add = function( str ) {
+			return function( value, suffix ) {
+				return value + str + suffix;
+			};
+		},
+		untouched = function() {};
+
+	hook.tap( add("B") ).tap( untouched ).tap( add("C") );
+	strictEqual( hook.call( "A", "." ), "AB.C.", "each tap gets the previous tap's value" );
+
+	hook.untap( untouched );
+	hook.tap( "extra.test", add("!") );
+	strictEqual( hook.call( "", "" ), "BC!", "labeled tap added" );
+	hook.off(".test");
+	strictEqual( hook.call( "", "" ), "BC", "labeled tap removed" );
+});
+
+test( "jQuery.AsyncSeriesHook", function() {
+
+	expect( 5 );
+
+	var hook = new jQuery.AsyncSeriesHook(),
+		order = "",
+		first = jQuery.Deferred(),
+		result;
+
+	hook.tap(function( str ) {
+		order += "1" + str;
+		return first;
+	});
+	hook.tap(function( str ) {
+		order += "2" + str;
+	});
+	result = hook.promise("A");
+	strictEqual( order, "1A", "second tap waits for the first" );
+	strictEqual( result.state(), "pending", "hook pending" );
+	first.resolve();
+	strictEqual( order, "1A2A", "second tap called once the first resolved" );
+	strictEqual( result.state(), "resolved", "hook resolved" );
+
+	hook.tap(function() {
+		throw new Error("tap error");
+	}, { priority: 1 } );
+	hook.promise("B").fail(function( error ) {
+		strictEqual( error.message, "tap error", "hook rejected by a throwing tap" );
+	});
+});
+
+test( "jQuery.AsyncParallelHook", function() {
+
+	expect( 5 );
+
+	var hook = new jQuery.AsyncParallelHook(),
+		defers = [ jQuery.Deferred(), jQuery.Deferred() ],
+		order = "",
+		result;
+
+	strictEqual( hook.promise().state(), "resolved", "no taps, resolved" );
+
+	hook.tap(function( str ) {
+		order += "1" + str;
+		return defers[ 0 ];
+	}, function( str ) {
+		order += "2" + str;
+		return defers[ 1 ].promise();
+	});
+	result = hook.promise("A");
+	strictEqual( order, "1A2A", "all taps called at once" );
+	defers[ 1 ].resolve();
+	strictEqual( result.state(), "pending", "waiting for all taps" );
+	defers[ 0 ].resolve();
+	strictEqual( result.state(), "resolved", "resolved once all taps are done" );
+
+	hook.tap(function() {
+		return jQuery.Deferred().reject("failed");
+	});
+	hook.promise().fail(function( error ) {
+		strictEqual( error, "failed", "rejected by a rejecting tap" );
+	});
+});
+
+test( "jQuery hooks - options", function() {
+
+	expect( 5 );
+
+	var hook = new jQuery.SyncWaterfallHook({ unique: true }),
+		add = function( value ) {
+			return value + 1;
+		};
+
+	hook.tap( "counter.ui", add, { priority: 1 } ).tap( add );
+	strictEqual( hook.call( 0 ), 1, "unique taps, labels and priorities are supported" );
+	raises(function() {
+		hook.tap( add, { times: 1 } );
+	}, "tap options other than priority and namespace throw" );
+	raises(function() {
+		hook.subscribe( add, { throttle: 10 } );
+	}, "subscribe options are checked as well" );
+	strictEqual( hook.call( 0 ), 1, "nothing tapped by the rejected calls" );
+	raises(function() {
+		return new jQuery.SyncBailHook({ isolateErrors: true });
+	}, "hook options other than unique throw" );
+});